@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  getJournalPath,
+  appendJournalEntry,
+  readJournal,
+  readJournalCalls,
+  getJournalCalls,
+  removeJournal
+} = require('../lib/batch-journal');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('batch journal', () => {
+  const tmp = useTempDir('journal');
+
+  const source = { csvFile: 'leads.csv', csvPath: '/some/where/leads.csv', agentId: 'agent-1' };
+
+  test('journal path is keyed on the CSV path and agent', () => {
+    const file = getJournalPath(tmp.dir, source);
+    expect(path.dirname(file)).toBe(tmp.dir);
+    expect(path.basename(file)).toMatch(/^leads\.csv\.[0-9a-f]{10}\.journal\.ndjson$/);
+    expect(getJournalPath(tmp.dir, { ...source, csvPath: '/elsewhere/leads.csv' })).not.toBe(file);
+    expect(getJournalPath(tmp.dir, { ...source, agentId: 'agent-2' })).not.toBe(file);
+  });
+
+  test('appends entries and reads calls back in write order', () => {
+    const file = getJournalPath(tmp.dir, source);
+    appendJournalEntry(file, { batch: 1, agentId: 'a', calls: [{ callId: '1', endpoint: '+1555' }] });
+    appendJournalEntry(file, { batch: 2, agentId: 'a', calls: [{ callId: '2', endpoint: '+1556' }, { callId: '3', endpoint: '+1557' }] });
+
+    const entries = readJournal(file);
+    expect(entries).toHaveLength(2);
+    expect(getJournalCalls(entries).map(c => c.callId)).toEqual(['1', '2', '3']);
+  });
+
+  test('orders calls by batch number when batches finished out of order', () => {
+    const file = getJournalPath(tmp.dir, source);
+    appendJournalEntry(file, { batch: 2, calls: [{ callId: '2' }] });
+    appendJournalEntry(file, { batch: 1, calls: [{ callId: '1' }] });
+
+    expect(getJournalCalls(readJournal(file)).map(c => c.callId)).toEqual(['1', '2']);
+  });
+
+  test('skips a truncated trailing line left by a crash', () => {
+    const file = getJournalPath(tmp.dir, source);
+    appendJournalEntry(file, { batch: 1, calls: [{ callId: '1' }] });
+    fs.appendFileSync(file, '{"batch":2,"calls":[{"call');
+
+    expect(getJournalCalls(readJournal(file)).map(c => c.callId)).toEqual(['1']);
+  });
+
+  test('reads calls one at a time across read chunks', () => {
+    const file = getJournalPath(tmp.dir, source);
+    const name = 'é'.repeat(600 * 1024);
+    appendJournalEntry(file, { batch: 1, calls: [{ callId: '1', additionalData: { name } }] });
+    appendJournalEntry(file, { batch: 2, calls: [{ callId: '2' }, { callId: '3' }] });
+
+    const calls = Array.from(readJournalCalls(file));
+    expect(calls.map(c => c.callId)).toEqual(['1', '2', '3']);
+    expect(calls[0].additionalData.name).toBe(name);
+  });
+
+  test('missing journal reads as empty and removal is idempotent', () => {
+    const file = getJournalPath(tmp.dir, { ...source, csvPath: '/none.csv' });
+    expect(readJournal(file)).toEqual([]);
+    expect(() => removeJournal(file)).not.toThrow();
+  });
+});
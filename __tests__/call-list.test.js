@@ -0,0 +1,99 @@
+const { getCallRows, filterCallRows, createCallBrowser } = require('../lib/call-list');
+
+// Strip colors so rendered lines can be compared
+const plain = (lines) => lines.map(line => line.replace(/\u001b\[\d+(;\d+)*m/g, ''));
+
+function fakeWatcher() {
+  return {
+    campaign: {
+      callIds: ['c1', 'c2', 'c3', 'c4'],
+      callMapping: {
+        c1: { endpoint: '+12025550101', additionalData: { name: 'Ann Lee', plan: 'gold' } },
+        c2: { endpoint: '+12025550102', additionalData: { name: 'Bob', plan: 'silver' } },
+        c3: { endpoint: '+442071234567', additionalData: { name: 'Cy' } },
+        c4: { endpoint: '+12025550104' }
+      }
+    },
+    callStates: new Map([
+      ['c1', {
+        callId: 'c1',
+        endpoint: '+12025550101',
+        status: 'completed',
+        createdTime: '2025-05-07T12:00:00Z',
+        completedTime: '2025-05-07T12:05:00Z',
+        durationSeconds: 95,
+        serverJobId: 'job-1',
+        inspectorUrl: 'https://inspect/c1'
+      }],
+      ['c2', { callId: 'c2', status: 'failed' }]
+    ]),
+    missingCallIds: new Set(['c3'])
+  };
+}
+
+describe('call list', () => {
+  test('rows combine server state with the recorded endpoint and additionalData', () => {
+    const rows = getCallRows(fakeWatcher());
+    expect(rows.map(row => `${row.callId}:${row.status}`)).toEqual(['c1:completed', 'c2:failed', 'c3:expired', 'c4:created']);
+    expect(rows[1]).toMatchObject({ endpoint: '+12025550102', additionalData: { name: 'Bob', plan: 'silver' } });
+    expect(rows[3].additionalData).toEqual({});
+  });
+
+  test('search matches numbers without formatting, fields and free text', () => {
+    const rows = getCallRows(fakeWatcher());
+    const ids = (filter) => filterCallRows(rows, filter).map(row => row.callId);
+
+    expect(ids({ query: '(202) 555-0102' })).toEqual(['c2']);
+    expect(ids({ query: '55501' })).toEqual(['c1', 'c2', 'c4']);
+    expect(ids({ query: 'plan=gold' })).toEqual(['c1']);
+    expect(ids({ query: 'NAME=bo' })).toEqual(['c2']);
+    expect(ids({ query: 'lee' })).toEqual(['c1']);
+    expect(ids({ query: '55501', status: 'created' })).toEqual(['c4']);
+  });
+
+  test('keys filter, move and open the selected call', () => {
+    const browser = createCallBrowser(fakeWatcher());
+
+    // Type a search, then open the second match
+    browser.handleKey('/', {});
+    [...'5550'].forEach(ch => browser.handleKey(ch, { name: ch }));
+    browser.handleKey('q', { name: 'q' });
+    browser.handleKey(undefined, { name: 'backspace' });
+    browser.handleKey('\r', { name: 'return' });
+    expect(browser.query).toBe('5550');
+    let lines = plain(browser.render(10));
+    expect(lines[0]).toBe('Calls (3 of 4) search: "5550"');
+    expect(lines[3].startsWith('> +12025550101')).toBe(true);
+
+    browser.handleKey(undefined, { name: 'down' });
+    browser.handleKey('\r', { name: 'return' });
+    lines = plain(browser.render(10));
+    expect(lines[0]).toBe('Call +12025550102');
+    expect(lines).toContain('Status:         failed');
+    expect(lines).toContain('  plan: silver');
+
+    browser.handleKey(undefined, { name: 'up' });
+    lines = plain(browser.render(10));
+    expect(lines).toContain('Duration:       1m 35s');
+    expect(lines).toContain('Server Job ID:  job-1');
+    expect(lines).toContain('Inspector:      https://inspect/c1');
+
+    browser.handleKey(undefined, { name: 'escape' });
+    browser.handleKey('f', { name: 'f' });
+    expect(plain(browser.render(10))[0]).toBe('Calls (1 of 4) status: completed, search: "5550"');
+    browser.handleKey('c', { name: 'c' });
+    expect(plain(browser.render(10))[0]).toBe('Calls (4 of 4)');
+
+    expect(browser.handleKey('q', { name: 'q' })).toBe('quit');
+    expect(browser.handleKey(undefined, { name: 'escape' })).toBe('back');
+  });
+
+  test('the list scrolls to keep the selection visible', () => {
+    const watcher = fakeWatcher();
+    const browser = createCallBrowser(watcher);
+    browser.handleKey(undefined, { name: 'end' });
+
+    const lines = plain(browser.render(2));
+    expect(lines.slice(3, 5).map(line => line.slice(0, 16))).toEqual(['  +442071234567 ', '> +12025550104  ']);
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  computeCsvFingerprint,
+  getCampaignSource,
+  matchesCampaignSource
+} = require('../lib/campaign-identity');
+const { saveCampaign, loadPreviousCampaignEndpoints } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('campaign identity', () => {
+  const tmp = useTempDir('identity');
+
+  const source = { csvFile: 'leads.csv', csvPath: '/a/leads.csv', agentId: 'agent-1' };
+
+  test('matches on agent and resolved CSV path', () => {
+    expect(matchesCampaignSource({ csvFile: 'leads.csv', csvPath: '/a/leads.csv', agentId: 'agent-1' }, source)).toBe(true);
+    expect(matchesCampaignSource({ csvFile: 'leads.csv', csvPath: '/b/leads.csv', agentId: 'agent-1' }, source)).toBe(false);
+    expect(matchesCampaignSource({ csvFile: 'leads.csv', csvPath: '/a/leads.csv', agentId: 'agent-2' }, source)).toBe(false);
+  });
+
+  test('falls back to the file name for campaigns saved without a path', () => {
+    expect(matchesCampaignSource({ csvFile: 'leads.csv', agentId: 'agent-1' }, source)).toBe(true);
+    expect(matchesCampaignSource({ csvFile: 'other.csv', agentId: 'agent-1' }, source)).toBe(false);
+  });
+
+  test('compares fingerprints only when both sides have one', () => {
+    const saved = { ...source, csvFingerprint: 'abc' };
+    expect(matchesCampaignSource(saved, source)).toBe(true);
+    expect(matchesCampaignSource(saved, { ...source, csvFingerprint: 'abc' })).toBe(true);
+    expect(matchesCampaignSource(saved, { ...source, csvFingerprint: 'def' })).toBe(false);
+  });
+
+  test('fingerprint ignores the error_message column but not row changes', async () => {
+    const file = tmp.writeFile('leads.csv', 'phone,name\n+15551234567,Ann\n');
+    const original = await computeCsvFingerprint(file);
+
+    fs.writeFileSync(file, 'phone,name,error_message\n+15551234567,Ann,\n');
+    expect(await computeCsvFingerprint(file)).toBe(original);
+
+    fs.writeFileSync(file, 'phone,name\n+15551234567,Bob\n');
+    expect(await computeCsvFingerprint(file)).not.toBe(original);
+  });
+
+  test('getCampaignSource resolves the path and fingerprints on request', async () => {
+    const file = tmp.writeFile('leads.csv', 'phone\n+15551234567\n');
+
+    const plain = await getCampaignSource(file, 'agent-1');
+    expect(plain).toEqual({ csvFile: 'leads.csv', csvPath: path.resolve(file), agentId: 'agent-1' });
+
+    const withPrint = await getCampaignSource(file, 'agent-1', { fingerprint: true });
+    expect(withPrint.csvFingerprint).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('"new" starts a separate campaign for the same source', () => {
+    const calls = [{ callId: 'c1', endpoint: '+15551234567', additionalData: {} }];
+    const first = saveCampaign(source, calls, null, tmp.dir);
+    expect(first.isNew).toBe(true);
+
+    const again = saveCampaign(source, [{ callId: 'c2', endpoint: '+15557654321' }], null, tmp.dir);
+    expect(again.campaignId).toBe(first.campaignId);
+
+    expect(loadPreviousCampaignEndpoints(source, 'new', tmp.dir).size).toBe(0);
+    const fresh = saveCampaign(source, calls, 'new', tmp.dir);
+    expect(fresh.isNew).toBe(true);
+    expect(fresh.campaignId).not.toBe(first.campaignId);
+  });
+
+  test('same-named CSV in another folder does not continue the campaign', () => {
+    saveCampaign(source, [{ callId: 'c1', endpoint: '+15551234567' }], null, tmp.dir);
+    const other = { ...source, csvPath: '/b/leads.csv' };
+    expect(loadPreviousCampaignEndpoints(other, null, tmp.dir).size).toBe(0);
+    expect(loadPreviousCampaignEndpoints(source, null, tmp.dir).has('+15551234567')).toBe(true);
+  });
+
+  test('stdin runs are identified by campaign name, which becomes the alias', async () => {
+    const stdinSource = await getCampaignSource('-', 'agent-1', { campaignName: 'daily-export' });
+    expect(stdinSource).toEqual({
+      csvFile: 'daily-export',
+      csvPath: 'stdin:daily-export',
+      agentId: 'agent-1',
+      alias: 'daily-export'
+    });
+
+    const saved = saveCampaign(stdinSource, [{ callId: 'c1', endpoint: '+12025550101' }], null, tmp.dir);
+    expect(saved.campaignData.alias).toBe('daily-export');
+    expect(loadPreviousCampaignEndpoints(stdinSource, null, tmp.dir)).toEqual(new Set(['+12025550101']));
+    expect(loadPreviousCampaignEndpoints(source, null, tmp.dir).size).toBe(0);
+  });
+
+  test('a campaign tag is stamped into every call and kept with a new campaign', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,name\n+12025550101,Ann\n+12025550102,\n');
+    const { calls } = await tmp.readCalls(input, { campaignTag: 'tag-1' });
+
+    expect(calls.map(call => call.additionalData)).toEqual([
+      { name: 'Ann', blackboxCampaignTag: 'tag-1' },
+      { blackboxCampaignTag: 'tag-1' }
+    ]);
+    const saved = saveCampaign({ ...source, tag: 'tag-1' }, [{ callId: 'c1', endpoint: '+12025550101' }], null, tmp.dir);
+    expect(saved.campaignData.tag).toBe('tag-1');
+  });
+});
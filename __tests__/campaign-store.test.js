@@ -0,0 +1,131 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getDefaultStoreDir,
+  resolveStoreDir,
+  migrateLegacyStore,
+  listCampaigns,
+  findCampaign,
+  loadLastCampaign,
+  writeCampaign,
+  writeCampaignFile,
+  deleteCampaign,
+  validateAlias
+} = require('../lib/campaign-store');
+
+describe('campaign store', () => {
+  let dir;
+
+  function save(data, asLast) {
+    const file = path.join(dir, `${data.campaignId}.json`);
+    fs.writeFileSync(file, JSON.stringify(data));
+    if (asLast) {
+      fs.writeFileSync(path.join(dir, 'last-campaign.json'), JSON.stringify(data));
+    }
+    return file;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackbox-store-'));
+    save({ campaignId: 'campaign_old', csvFile: 'a.csv', createdAt: '2025-01-01T00:00:00.000Z' });
+    save({ campaignId: 'campaign_new', csvFile: 'b.csv', alias: 'q3', createdAt: '2025-02-01T00:00:00.000Z' }, true);
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('lists campaigns newest first, skipping last-campaign and invalid files', () => {
+    expect(listCampaigns(dir).map(c => c.data.campaignId)).toEqual(['campaign_new', 'campaign_old']);
+    expect(listCampaigns(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  test('finds campaigns by id or alias', () => {
+    expect(findCampaign(dir, 'campaign_old').data.csvFile).toBe('a.csv');
+    expect(findCampaign(dir, 'q3').data.campaignId).toBe('campaign_new');
+    expect(findCampaign(dir, 'nope')).toBeNull();
+    expect(findCampaign(dir, '../campaign_old')).toBeNull();
+  });
+
+  test('writing a campaign keeps last-campaign.json in sync', () => {
+    const campaign = findCampaign(dir, 'campaign_new');
+    writeCampaign(dir, campaign.file, { ...campaign.data, alias: 'renamed' });
+    expect(loadLastCampaign(dir).data.alias).toBe('renamed');
+
+    const other = findCampaign(dir, 'campaign_old');
+    writeCampaign(dir, other.file, { ...other.data, alias: 'x' });
+    expect(loadLastCampaign(dir).data.campaignId).toBe('campaign_new');
+  });
+
+  test('campaign files are written with new calls added to the call mapping', () => {
+    const file = path.join(dir, 'campaign_big.json');
+    const data = { campaignId: 'campaign_big', callIds: ['a', 'b'], callMapping: { a: { endpoint: '+1' } }, alias: undefined, createdAt: 't' };
+    writeCampaignFile(file, data, [{ callId: 'b', endpoint: '+2', additionalData: { name: 'Bo' } }]);
+
+    const expected = { ...data, callMapping: { a: { endpoint: '+1' }, b: { endpoint: '+2', additionalData: { name: 'Bo' } } } };
+    expect(fs.readFileSync(file, 'utf8')).toBe(JSON.stringify(expected, null, 2));
+    writeCampaignFile(file, { callIds: [], callMapping: {} });
+    expect(fs.readFileSync(file, 'utf8')).toBe(JSON.stringify({ callIds: [], callMapping: {} }, null, 2));
+  });
+
+  test('deleting the last campaign also removes last-campaign.json', () => {
+    deleteCampaign(dir, findCampaign(dir, 'q3'));
+    expect(findCampaign(dir, 'campaign_new')).toBeNull();
+    expect(loadLastCampaign(dir)).toBeNull();
+  });
+
+  test('validates aliases', () => {
+    expect(validateAlias(dir, 'spring-leads', 'campaign_old')).toBeNull();
+    expect(validateAlias(dir, 'q3', 'campaign_new')).toBeNull();
+    expect(validateAlias(dir, 'q3', 'campaign_old')).toMatch(/already used/);
+    expect(validateAlias(dir, 'campaign_new', 'campaign_old')).toMatch(/already used/);
+    expect(validateAlias(dir, 'has space', 'campaign_old')).toMatch(/Alias must/);
+    expect(validateAlias(dir, 'new', 'campaign_old')).toMatch(/reserved/);
+  });
+});
+
+describe('campaign store location', () => {
+  test('defaults to an XDG-style directory', () => {
+    if (process.platform === 'win32') return;
+    expect(getDefaultStoreDir({ XDG_DATA_HOME: '/data' })).toBe(path.join('/data', 'blackbox-cli', 'campaigns'));
+    expect(getDefaultStoreDir({})).toBe(path.join(os.homedir(), '.local', 'share', 'blackbox-cli', 'campaigns'));
+  });
+
+  test('--store wins over BLACKBOX_STORE, which wins over the default', () => {
+    expect(resolveStoreDir('/explicit', { BLACKBOX_STORE: '/env' })).toBe(path.resolve('/explicit'));
+    expect(resolveStoreDir(undefined, { BLACKBOX_STORE: '/env' })).toBe(path.resolve('/env'));
+    expect(resolveStoreDir(undefined, { XDG_DATA_HOME: '/data' })).toBe(path.resolve(getDefaultStoreDir({ XDG_DATA_HOME: '/data' })));
+  });
+
+  test('copies legacy campaign files once without overwriting existing ones', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'blackbox-migrate-'));
+    const legacy = path.join(root, 'legacy');
+    const store = path.join(root, 'store');
+    fs.mkdirSync(legacy);
+    fs.mkdirSync(store);
+    fs.writeFileSync(path.join(legacy, 'campaign_a.json'), '{"campaignId":"campaign_a"}');
+    fs.writeFileSync(path.join(legacy, 'last-campaign.json'), '{"campaignId":"campaign_a"}');
+    fs.writeFileSync(path.join(legacy, 'leads.csv.journal.ndjson'), '{}\n');
+    fs.writeFileSync(path.join(legacy, 'notes.txt'), 'keep');
+    fs.writeFileSync(path.join(store, 'last-campaign.json'), '{"campaignId":"campaign_b"}');
+
+    try {
+      expect(migrateLegacyStore(legacy, store).sort()).toEqual(['campaign_a.json', 'leads.csv.journal.ndjson']);
+      expect(fs.readdirSync(legacy).sort()).toEqual(['campaign_a.json', 'last-campaign.json', 'leads.csv.journal.ndjson', 'notes.txt']);
+      expect(fs.existsSync(path.join(store, 'campaign_a.json'))).toBe(true);
+      expect(fs.existsSync(path.join(store, 'notes.txt'))).toBe(false);
+      expect(JSON.parse(fs.readFileSync(path.join(store, 'last-campaign.json'), 'utf8')).campaignId).toBe('campaign_b');
+
+      // A campaign removed from the store is not copied back
+      fs.rmSync(path.join(store, 'campaign_a.json'));
+      expect(migrateLegacyStore(legacy, store)).toEqual([]);
+      expect(fs.existsSync(path.join(store, 'campaign_a.json'))).toBe(false);
+      expect(migrateLegacyStore(store, store)).toEqual([]);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
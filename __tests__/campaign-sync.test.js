@@ -0,0 +1,298 @@
+jest.mock('axios');
+const axios = require('axios');
+
+const CampaignWatcher = require('../lib/campaign-watcher');
+
+function makeCampaign(callIds) {
+  return {
+    campaignId: 'campaign_sync',
+    csvFile: 'tmp.csv',
+    agentId: 'agent-1',
+    totalCalls: callIds.length,
+    successful: callIds.length,
+    callIds,
+    callMapping: {},
+    createdAt: new Date().toISOString()
+  };
+}
+
+describe('CampaignWatcher.syncWithServer', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('treats calls missing on the server as expired and shrinks the active total', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b', 'c', 'd']), 'https://x', 'k', { lookup: 'agent' });
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          results: [
+            { callId: 'a', callStatus: 'Completed' },
+            { callId: 'b', callStatus: 'Canceled' },
+            { callId: 'other', callStatus: 'Completed' }
+          ],
+          totalPages: 1
+        }
+      })
+      .mockResolvedValueOnce({ data: { results: [], totalPages: 1 } });
+
+    const changes = await watcher.syncWithServer();
+    expect(changes.map(change => `${change.callId}:${change.newStatus}`)).toEqual(['a:completed', 'b:canceled', 'c:expired', 'd:expired']);
+
+    // The calls the search missed are looked up by id before counting as expired
+    expect(axios.post.mock.calls[0][1].callStatuses).toContain('Expired');
+    expect(axios.post.mock.calls[1][1].callIds).toEqual(['c', 'd']);
+
+    expect(watcher.stats.completed).toBe(1);
+    expect(watcher.stats.canceled).toBe(1);
+    expect(watcher.stats.expired).toBe(2);
+    expect(watcher.stats.created).toBe(0);
+    expect(watcher.getProgress()).toEqual({ completed: 1, total: 1, original: 4, percentage: 100 });
+    expect(watcher.isComplete()).toBe(true);
+  });
+
+  test('paginates through all result pages', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b']), 'https://x', 'k');
+    axios.post
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'a', callStatus: 'Running' }], totalPages: 2 } })
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'b', callStatus: 'Queued' }], totalPages: 2 } });
+
+    await watcher.syncWithServer();
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(axios.post.mock.calls[1][1].page).toBe(1);
+    expect(watcher.stats.running).toBe(1);
+    expect(watcher.stats.queued).toBe(1);
+    expect(watcher.getActiveTotal()).toBe(2);
+  });
+
+  test('a call missing from one page of the search is not marked expired', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b']), 'https://x', 'k', { lookup: 'agent' });
+    axios.post
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'a', callStatus: 'Completed' }], totalPages: 2 } })
+      .mockResolvedValueOnce({ data: { results: [], totalPages: 2 } })
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'b', callStatus: 'Running' }], totalPages: 1 } });
+
+    await watcher.syncWithServer();
+
+    expect(watcher.missingCallIds.size).toBe(0);
+    expect(watcher.stats.expired).toBe(0);
+    expect(watcher.stats.running).toBe(1);
+    expect(watcher.isComplete()).toBe(false);
+  });
+
+  test('missing calls count as expired when the server cannot look them up by id', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b']), 'https://x', 'k', { lookup: 'agent' });
+    axios.post
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'a', callStatus: 'Completed' }], totalPages: 1 } })
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'other', callStatus: 'Completed' }], totalPages: 1 } });
+
+    await watcher.syncWithServer();
+
+    // The search since the campaign started is all there is to go on
+    expect(watcher.lookupFallback).toBe(true);
+    expect(watcher.stats.expired).toBe(1);
+    expect(watcher.stats.created).toBe(0);
+    expect(watcher.getActiveTotal()).toBe(1);
+
+    // Later syncs do not ask by id again
+    axios.post.mockClear();
+    axios.post.mockResolvedValueOnce({ data: { results: [{ callId: 'a', callStatus: 'Completed' }], totalPages: 1 } });
+    await watcher.syncWithServer();
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(watcher.stats.expired).toBe(1);
+  });
+
+  test('falls back to local data when the server is unreachable', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b']), 'https://x', 'k');
+    axios.post.mockRejectedValueOnce({ response: { status: 500 } });
+
+    await expect(watcher.syncWithServer()).resolves.toBeNull();
+
+    expect(watcher.syncError).toBe(500);
+    expect(watcher.missingCallIds.size).toBe(0);
+    expect(watcher.getActiveTotal()).toBe(2);
+  });
+
+  test('a missing call seen again on a later update becomes active', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(['a', 'b']), 'https://x', 'k');
+    axios.get.mockResolvedValue({ data: { active: 0, concurrency: 10 } });
+    axios.post
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'a', callStatus: 'Completed' }], totalPages: 1 } })
+      .mockResolvedValueOnce({ data: { results: [], totalPages: 1 } });
+    await watcher.syncWithServer();
+    expect(watcher.stats.expired).toBe(1);
+
+    axios.post.mockResolvedValueOnce({ data: { results: [{ callId: 'b', callStatus: 'Running' }], totalPages: 1 } });
+    await watcher.update();
+
+    expect(watcher.stats.expired).toBe(0);
+    expect(watcher.stats.running).toBe(1);
+    expect(watcher.getActiveTotal()).toBe(2);
+  });
+});
+
+describe('CampaignWatcher.update polling', () => {
+  const createdAt = '2025-05-07T10:00:00.000Z';
+  const results = (statuses) => ({
+    data: { results: Object.entries(statuses).map(([callId, callStatus]) => ({ callId, callStatus })), totalPages: 1 }
+  });
+  const searchWindow = (call) => [call[1].fromDate, call[1].toDate];
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers({ now: new Date('2025-05-07T12:00:00.000Z') });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: { active: 0, concurrency: 10 } });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.error.mockRestore();
+  });
+
+  test('each poll starts where the last successful one ended, with an overlap', async () => {
+    const watcher = new CampaignWatcher({ ...makeCampaign(['a', 'b']), createdAt }, 'https://x', 'k');
+    axios.post.mockResolvedValue(results({ a: 'Queued', b: 'Queued' }));
+
+    await watcher.update();
+    jest.setSystemTime(new Date('2025-05-07T12:00:05.000Z'));
+    await watcher.update();
+
+    expect(axios.post.mock.calls.map(searchWindow)).toEqual([
+      [createdAt, '2025-05-07T12:00:00.000Z'],
+      ['2025-05-07T11:59:00.000Z', '2025-05-07T12:00:05.000Z']
+    ]);
+  });
+
+  test('polls missed during an outage or a pause are caught up', async () => {
+    const watcher = new CampaignWatcher({ ...makeCampaign(['a', 'b']), createdAt }, 'https://x', 'k', { lookup: 'agent' });
+    axios.post.mockResolvedValueOnce(results({ a: 'Queued', b: 'Queued' }));
+    await watcher.update();
+
+    // Outage: the failed poll does not move the cursor
+    jest.setSystemTime(new Date('2025-05-07T12:10:00.000Z'));
+    axios.post.mockRejectedValueOnce(new Error('socket hang up'));
+    await expect(watcher.update()).resolves.toEqual([]);
+    expect(watcher.updateError).toBe('socket hang up');
+
+    // Paused: no poll at all
+    watcher.togglePause();
+    await watcher.update();
+    watcher.togglePause();
+
+    jest.setSystemTime(new Date('2025-05-07T12:30:00.000Z'));
+    axios.post.mockResolvedValueOnce(results({ a: 'Completed', b: 'Running', other: 'Completed' }));
+    const changes = await watcher.update();
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(searchWindow(axios.post.mock.calls[2])).toEqual(['2025-05-07T11:59:00.000Z', '2025-05-07T12:30:00.000Z']);
+    expect(changes.map(change => `${change.callId}:${change.newStatus}`)).toEqual(['a:completed', 'b:running']);
+    expect(watcher.updateError).toBeNull();
+  });
+});
+
+describe('CampaignWatcher lookup strategy', () => {
+  const ids = (n) => Array.from({ length: n }, (_, i) => `call-${i}`);
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    axios.post.mockResolvedValue({ data: { results: [], totalPages: 1 } });
+  });
+
+  test('a shared tag narrows the search to the campaign', async () => {
+    const watcher = new CampaignWatcher({ ...makeCampaign(ids(5000)), tag: 'tag-1' }, 'https://x', 'k');
+    expect(watcher.lookupStrategy).toBe('tag');
+    const results = ids(5000).map(callId => ({ callId, callStatus: 'Completed' }));
+    axios.post.mockResolvedValueOnce({ data: { results, totalPages: 1 } });
+
+    await watcher.syncWithServer();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1].additionalDataFilters).toEqual({ 'callAdditionalData.blackboxCampaignTag': 'tag-1' });
+  });
+
+  test('small untagged campaigns are looked up by call id in chunks', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(ids(250)), 'https://x', 'k');
+    expect(watcher.lookupStrategy).toBe('ids');
+    axios.post.mockResolvedValueOnce({ data: { results: [{ callId: 'call-3', callStatus: 'Completed' }], totalPages: 1 } });
+
+    await watcher.syncWithServer();
+
+    // Three chunks for the search, then three to confirm the 249 calls it missed
+    expect(axios.post.mock.calls.map(([, body]) => body.callIds.length)).toEqual([100, 100, 50, 100, 100, 49]);
+    expect(axios.post.mock.calls[2][1].callIds[0]).toBe('call-200');
+    expect(axios.post.mock.calls[0][1].additionalDataFilters).toBeUndefined();
+    expect(watcher.stats.completed).toBe(1);
+  });
+
+  test('the id lookup only asks for unfinished calls changed since the last poll', async () => {
+    const callIds = ids(250);
+    const watcher = new CampaignWatcher(makeCampaign(callIds), 'https://x', 'k');
+    const statusOf = (index) => (index < 100 ? 'Completed' : index < 200 ? 'Running' : 'Failed');
+    [0, 100, 200].forEach(start => axios.post.mockResolvedValueOnce({
+      data: { results: callIds.slice(start, start + 100).map((callId, i) => ({ callId, callStatus: statusOf(start + i) })), totalPages: 1 }
+    }));
+    await watcher.syncWithServer();
+    expect(watcher.getLookupDisplay()).toBe('by call id (1 requests per refresh)');
+
+    axios.post.mockClear();
+    axios.get.mockResolvedValue({ data: { active: 0, concurrency: 10 } });
+    await watcher.update();
+
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(axios.post.mock.calls[0][1].callIds).toEqual(callIds.slice(100, 200));
+    expect(axios.post.mock.calls[0][1].fromDate).toBe(watcher.getPollFromDate());
+  });
+
+  test('falls back to the agent search when the server ignores callIds', async () => {
+    const watcher = new CampaignWatcher(makeCampaign(ids(3)), 'https://x', 'k');
+    axios.post
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'other', callStatus: 'Completed' }, { callId: 'call-0', callStatus: 'Completed' }], totalPages: 1 } })
+      .mockResolvedValueOnce({ data: { results: [{ callId: 'call-0', callStatus: 'Completed' }, { callId: 'call-1', callStatus: 'Running' }], totalPages: 1 } })
+      .mockResolvedValue({ data: { results: [{ callId: 'other', callStatus: 'Completed' }], totalPages: 1 } });
+
+    await watcher.syncWithServer();
+
+    expect(watcher.lookupStrategy).toBe('agent');
+    expect(watcher.getLookupDisplay()).toBe('all agent calls, filtered locally, server ignores call ids');
+    expect(axios.post.mock.calls[1][1].callIds).toBeUndefined();
+    expect(watcher.stats.completed).toBe(1);
+    expect(watcher.stats.running).toBe(1);
+    // call-2 cannot be looked up by id, so missing from the full search it is expired
+    expect(watcher.stats.expired).toBe(1);
+  });
+
+  test('more than 2000 missing calls are confirmed by id in chunks', async () => {
+    const callIds = ids(2101);
+    const watcher = new CampaignWatcher(makeCampaign(callIds), 'https://x', 'k');
+    expect(watcher.lookupStrategy).toBe('agent');
+    axios.post.mockImplementation(async (url, body) => ({
+      data: {
+        results: body.callIds
+          ? body.callIds.filter(callId => callId === 'call-2050').map(callId => ({ callId, callStatus: 'Running' }))
+          : [{ callId: 'call-0', callStatus: 'Completed' }],
+        totalPages: 1
+      }
+    }));
+
+    await watcher.syncWithServer();
+
+    const requested = axios.post.mock.calls.map(([, body]) => body.callIds).filter(Boolean);
+    expect(requested).toHaveLength(21);
+    expect(requested.flat()).toEqual(callIds.slice(1));
+    expect(watcher.stats.completed).toBe(1);
+    expect(watcher.stats.running).toBe(1);
+    expect(watcher.stats.expired).toBe(2099);
+    expect(watcher.stats.created).toBe(0);
+  });
+
+  test('large untagged campaigns search the agent, and the strategy can be forced', () => {
+    expect(new CampaignWatcher(makeCampaign(ids(2001)), 'https://x', 'k').lookupStrategy).toBe('agent');
+    expect(new CampaignWatcher(makeCampaign(ids(10)), 'https://x', 'k', { lookup: 'agent' }).lookupStrategy).toBe('agent');
+    expect(() => new CampaignWatcher(makeCampaign(ids(10)), 'https://x', 'k', { lookup: 'tag' }))
+      .toThrow('This campaign has no shared tag or campaignId to look calls up by');
+    expect(() => new CampaignWatcher(makeCampaign(ids(10)), 'https://x', 'k', { lookup: 'fast' }))
+      .toThrow('Unknown lookup strategy: fast');
+  });
+});
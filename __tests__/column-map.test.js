@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  parseMapOption,
+  loadMappingFile,
+  saveMappingFile,
+  resolveColumnMap
+} = require('../lib/column-map');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('column mapping', () => {
+  test('parses --map pairs', () => {
+    expect(parseMapOption('endpoint=Phone, deadline=due_by')).toEqual({ endpoint: 'Phone', deadline: 'due_by' });
+    expect(() => parseMapOption('endpoint')).toThrow(/expected field=column/);
+    expect(() => parseMapOption('phone=Phone')).toThrow(/Unknown field "phone"/);
+  });
+
+  test('built-in aliases are case-insensitive and prefer the exact field name', () => {
+    expect(resolveColumnMap(['Phone Number', 'Due_By', 'TZ', 'name'])).toEqual({
+      endpoint: 'Phone Number',
+      deadline: 'Due_By',
+      timezone: 'TZ'
+    });
+    expect(resolveColumnMap(['phone', 'endpoint'])).toEqual({ endpoint: 'endpoint' });
+  });
+
+  test('explicit mappings win and are checked against the header', () => {
+    expect(resolveColumnMap(['endpoint', 'cell'], { endpoint: 'CELL' })).toEqual({ endpoint: 'cell' });
+    expect(() => resolveColumnMap(['endpoint'], { endpoint: 'Phone' })).toThrow(/"Phone" mapped to endpoint was not found/);
+    expect(() => resolveColumnMap(['a'], { endpoint: 'a', deadline: 'a' })).toThrow(/mapped to both endpoint and deadline/);
+  });
+
+  describe('with files', () => {
+    const tmp = useTempDir('map');
+
+    test('saved mapping files round-trip and are validated', () => {
+      const file = path.join(tmp.dir, 'crm.json');
+      saveMappingFile(file, { endpoint: 'Phone', deadline: 'due_by' });
+      expect(loadMappingFile(file)).toEqual({ endpoint: 'Phone', deadline: 'due_by' });
+
+      fs.writeFileSync(file, '["Phone"]');
+      expect(() => loadMappingFile(file)).toThrow(/JSON object/);
+      expect(() => loadMappingFile(path.join(tmp.dir, 'missing.json'))).toThrow(/not found/);
+    });
+
+    test('mapped columns become call fields and the rest stays in additionalData', async () => {
+      const due = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+      const input = tmp.writeFile('crm.csv', `Cell,Due,Name\n+12025550101,${due},Ann\n`);
+      const { calls, columnMap } = await tmp.readCalls(input, {
+        columnMap: { endpoint: 'Cell', deadline: 'Due' }
+      });
+
+      expect(columnMap).toEqual({ endpoint: 'Cell', deadline: 'Due' });
+      expect(calls[0].endpoint).toBe('+12025550101');
+      expect(calls[0].callDeadLine).toBe(due);
+      expect(calls[0].additionalData).toEqual({ Name: 'Ann' });
+    });
+
+    test('a mapping that does not match the header fails the read', async () => {
+      const input = tmp.writeFile('crm.csv', 'Cell\n+12025550101\n');
+      await expect(tmp.readCalls(input, { columnMap: { endpoint: 'Phone' } }))
+        .rejects.toThrow(/not found in the CSV header/);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 const {
   calculateUtilizationPct,
   getConcurrencyLevel,
-  getConcurrencyStatusMessage
+  getConcurrencyStatusMessage,
+  getThrottleDecision
 } = require('../lib/concurrency-utils');
 
 describe('concurrency utils - utilization and levels', () => {
@@ -43,4 +44,23 @@ describe('concurrency utils - utilization and levels', () => {
   });
 });
 
+describe('concurrency utils - adaptive throttle decisions', () => {
+  test('pauses when critical', () => {
+    expect(getThrottleDecision('critical', 1000, 1000, { pauseMs: 5000 })).toEqual({ state: 'paused', delay: 5000 });
+  });
+
+  test('slows down when warning, capped at max delay', () => {
+    expect(getThrottleDecision('warning', 1000, 1000)).toEqual({ state: 'slowed', delay: 2000 });
+    expect(getThrottleDecision('warning', 0, 0)).toEqual({ state: 'slowed', delay: 1000 });
+    expect(getThrottleDecision('warning', 20000, 1000, { maxDelay: 30000 })).toEqual({ state: 'slowed', delay: 30000 });
+  });
 
+  test('speeds back up towards the base delay when healthy', () => {
+    expect(getThrottleDecision('healthy', 8000, 1000)).toEqual({ state: 'recovering', delay: 4000 });
+    expect(getThrottleDecision('healthy', 1500, 1000)).toEqual({ state: 'normal', delay: 1000 });
+  });
+
+  test('keeps the current delay when the level is unknown', () => {
+    expect(getThrottleDecision(undefined, 3000, 1000)).toEqual({ state: 'unknown', delay: 3000 });
+  });
+});
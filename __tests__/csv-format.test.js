@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  detectCsvFormat,
+  detectCsvFormatFromText,
+  formatCsvField,
+  getProcessedCsvPath,
+  getReportPaths
+} = require('../lib/csv-format');
+const {
+  writeProcessedCSV,
+  writeRejectedReport,
+  writeEnrolledReport,
+  Stats
+} = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('CSV format', () => {
+  test('detects delimiter, quoting and line endings from the header line', () => {
+    expect(detectCsvFormatFromText('endpoint,name\n+1555,Ann\n')).toEqual({ delimiter: ',', quoteAll: false, newline: '\n', bom: false });
+    expect(detectCsvFormatFromText('"endpoint";"name"\r\n')).toEqual({ delimiter: ';', quoteAll: true, newline: '\r\n', bom: false });
+    expect(detectCsvFormatFromText('endpoint\tname\n').delimiter).toBe('\t');
+    expect(detectCsvFormatFromText('"a,b"|c\n').delimiter).toBe('|');
+    expect(detectCsvFormatFromText('\uFEFFendpoint\n').bom).toBe(true);
+  });
+
+  test('escapes embedded quotes and quotes only when needed', () => {
+    expect(formatCsvField('plain')).toBe('plain');
+    expect(formatCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCsvField('a,b')).toBe('"a,b"');
+    expect(formatCsvField('a,b', { delimiter: ';' })).toBe('a,b');
+    expect(formatCsvField('line\nbreak')).toBe('"line\nbreak"');
+    expect(formatCsvField('x', { quoteAll: true })).toBe('"x"');
+    expect(formatCsvField(undefined)).toBe('');
+  });
+
+  test('processed output goes next to the input unless told otherwise', () => {
+    expect(getProcessedCsvPath(path.join('data', 'leads.csv'))).toBe(path.join('data', 'leads.processed.csv'));
+    expect(getProcessedCsvPath('leads.csv', { output: 'out.csv' })).toBe('out.csv');
+    expect(getProcessedCsvPath('leads.csv', { inPlace: true })).toBe('leads.csv');
+  });
+
+  test('report files sit next to the input or inside --report-dir', () => {
+    expect(getReportPaths(path.join('data', 'leads.csv'))).toEqual({
+      rejected: path.join('data', 'leads.rejected.csv'),
+      enrolled: path.join('data', 'leads.enrolled.csv')
+    });
+    expect(getReportPaths('leads.csv', { reportDir: 'out' })).toEqual({
+      rejected: path.join('out', 'rejected.csv'),
+      enrolled: path.join('out', 'enrolled.csv')
+    });
+  });
+});
+
+describe('processed CSV round-trip', () => {
+  const tmp = useTempDir('csv');
+
+  async function processFile(content) {
+    const input = tmp.writeFile('leads.csv', content);
+    const format = detectCsvFormat(input);
+    const { allRows, headers } = await tmp.readCalls(input, { format });
+    const output = getProcessedCsvPath(input);
+    await writeProcessedCSV(output, allRows, { headers, format });
+    return { input, output };
+  }
+
+  test('keeps delimiter, column order and minimal quoting without touching the input', async () => {
+    const content = 'name;endpoint;note\nAnn;+14155552671;likes "tea"\nBob;bad;\n';
+    const { input, output } = await processFile(content);
+
+    expect(fs.readFileSync(input, 'utf8')).toBe(content);
+    const lines = fs.readFileSync(output, 'utf8').split('\n');
+    expect(lines[0]).toBe('name;endpoint;note;normalized_endpoint;error_message');
+    expect(lines[1]).toBe('Ann;+14155552671;"likes ""tea""";+14155552671;');
+    expect(lines[2]).toMatch(/^Bob;bad;;;.+/);
+  });
+
+  test('keeps full quoting, CRLF line endings and BOM', async () => {
+    const { output } = await processFile('\uFEFF"endpoint","name"\r\n"+14155552671","Ann"\r\n');
+    expect(fs.readFileSync(output, 'utf8')).toBe('\uFEFF"endpoint","name","normalized_endpoint","error_message"\r\n"+14155552671","Ann","+14155552671",""\r\n');
+  });
+});
+
+describe('run reports', () => {
+  const tmp = useTempDir('reports');
+
+  test('rejected rows keep row number, original data and reason; enrolled rows carry the bulk response', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,name\n+14155552671,Ann\nbad,Bob\n+14155552672,Cid\n');
+    const stats = new Stats();
+    const { calls, allRows, headers } = await tmp.readCalls(input, {}, stats);
+
+    stats.addCreatedCalls([
+      { callId: 'call-1', endpoint: '+14155552671', status: 'Created', nextScheduleTime: '2026-01-01T00:00:00Z' }
+    ], 1, [calls[0]]);
+    allRows.find(row => row.call === calls[1]).error = 'API error: HTTP 502 after 4 attempts';
+
+    const paths = getReportPaths(input);
+    await expect(writeRejectedReport(paths.rejected, allRows, headers)).resolves.toBe(2);
+    await expect(writeEnrolledReport(paths.enrolled, allRows, stats)).resolves.toBe(1);
+
+    expect(fs.readFileSync(paths.rejected, 'utf8').split('\n')).toEqual([
+      'row,endpoint,name,reason',
+      '2,bad,Bob,Phone number must contain only digits and formatting characters',
+      '3,+14155552672,Cid,API error: HTTP 502 after 4 attempts',
+      ''
+    ]);
+    expect(fs.readFileSync(paths.enrolled, 'utf8')).toBe(
+      'row,endpoint,callId,status,nextScheduleTime\n1,+14155552671,call-1,Created,2026-01-01T00:00:00Z\n'
+    );
+  });
+});
@@ -0,0 +1,112 @@
+jest.mock('axios');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveDeadline, parseDeadline } = require('../lib/deadline');
+const { zonedTimeToUtc } = require('../lib/timezone');
+const { getNextWindowStart, formatWindowStart } = require('../lib/agent-schedule');
+const { batchCallCommand } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('deadlines', () => {
+  // A Wednesday
+  const now = new Date('2025-05-07T12:00:00Z');
+  const at = (text, timezone = 'UTC') => resolveDeadline(text, { timezone, now }).toISOString();
+
+  test('relative expressions count from now', () => {
+    expect(at('+36h')).toBe('2025-05-09T00:00:00.000Z');
+    expect(at('+1d12h')).toBe('2025-05-09T00:00:00.000Z');
+    expect(at('+ 90m')).toBe('2025-05-07T13:30:00.000Z');
+  });
+
+  test('day keywords are read in the row timezone', () => {
+    expect(at('end of day', 'America/New_York')).toBe('2025-05-08T03:59:59.000Z');
+    expect(at('EOD', 'Asia/Tokyo')).toBe('2025-05-07T14:59:59.000Z');
+    expect(at('tomorrow 09:30', 'Europe/Berlin')).toBe('2025-05-08T07:30:00.000Z');
+    expect(at('end of week')).toBe('2025-05-11T23:59:59.000Z');
+  });
+
+  test('timestamps without a zone use the row timezone, others keep theirs', () => {
+    expect(at('2025-05-08 18:00', 'Asia/Tokyo')).toBe('2025-05-08T09:00:00.000Z');
+    expect(at('2025-05-08')).toBe('2025-05-08T23:59:59.000Z');
+    expect(at('2025-05-08T18:00:00Z', 'Asia/Tokyo')).toBe('2025-05-08T18:00:00.000Z');
+    expect(at('2025-05-08T18:00:00+02:00', 'Asia/Tokyo')).toBe('2025-05-08T16:00:00.000Z');
+    expect(() => at('next tuesday')).toThrow('Invalid deadline format: next tuesday');
+  });
+
+  test('wall-clock conversion follows DST changes', () => {
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 8, hour: 9 }, 'America/New_York').toISOString()).toBe('2025-03-08T14:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2025, month: 3, day: 10, hour: 9 }, 'America/New_York').toISOString()).toBe('2025-03-10T13:00:00.000Z');
+    expect(() => zonedTimeToUtc({ year: 2025, month: 3, day: 10 }, 'Mars/Olympus')).toThrow('Unknown timezone: Mars/Olympus');
+  });
+
+  test('empty deadlines use the default and every deadline is range checked', () => {
+    expect(parseDeadline('', { now })).toBe('2025-05-08T12:00:00.000Z');
+    expect(parseDeadline(undefined, { now, defaultDeadline: 'end of day', timezone: 'UTC' })).toBe('2025-05-07T23:59:59.000Z');
+    expect(() => parseDeadline('2025-05-01T00:00:00Z', { now })).toThrow('Deadline is in the past: 2025-05-01T00:00:00Z');
+    expect(() => parseDeadline('+8d', { now })).toThrow('Deadline is more than 7 days in future: +8d');
+  });
+
+  describe('agent schedule window', () => {
+    const hours = [{ start: { hour: 9, minute: 0 }, end: { hour: 17, minute: 0 } }];
+    const schedule = { timezone: 'Europe/Berlin', Mon: hours, Tue: hours, Wed: hours, Thu: hours, friday: hours };
+
+    test('is now while the agent is working, otherwise the next start', () => {
+      expect(getNextWindowStart(schedule, now)).toBe(now);
+      expect(getNextWindowStart(schedule, new Date('2025-05-07T18:00:00Z')).toISOString()).toBe('2025-05-08T07:00:00.000Z');
+      expect(getNextWindowStart(schedule, new Date('2025-05-10T12:00:00Z')).toISOString()).toBe('2025-05-12T07:00:00.000Z');
+      expect(getNextWindowStart(null, now)).toBeNull();
+      expect(getNextWindowStart({ timezone: 'UTC' }, now)).toBeNull();
+      expect(formatWindowStart(new Date('2025-05-12T07:00:00Z'), 'Europe/Berlin')).toBe('Mon 2025-05-12 09:00 Europe/Berlin');
+    });
+  });
+
+  describe('reading rows', () => {
+    const tmp = useTempDir('deadline');
+
+    test('rows use their timezone, the default deadline and the agent window', async () => {
+      const input = tmp.writeFile('leads.csv', 'endpoint,deadline,timezone\n+12025550101,end of tomorrow,Asia/Tokyo\n+12025550102,,\n+12025550103,+1h,\n');
+      const agentWindow = { start: new Date(Date.now() + 3 * 60 * 60 * 1000), timezone: 'UTC' };
+
+      const { calls, allRows } = await tmp.readCalls(input, {
+        defaultDeadline: '+2d',
+        agentWindow
+      });
+
+      expect(calls).toHaveLength(2);
+      expect(calls[0].callDeadLine.slice(0, 16)).toBe(resolveDeadline('end of tomorrow', { timezone: 'Asia/Tokyo' }).toISOString().slice(0, 16));
+      expect(new Date(calls[1].callDeadLine) - Date.now()).toBeGreaterThan(47 * 60 * 60 * 1000);
+      expect(allRows[2].error).toMatch(/is before the agent's next schedule window \(\w{3} \d{4}-\d{2}-\d{2} \d{2}:\d{2} UTC\)/);
+    });
+
+    test('batch-call checks a plain deadline column against the agent schedule', async () => {
+      // The agent only works three days from now
+      const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][(new Date().getUTCDay() + 3) % 7];
+      const schedule = { timezone: 'UTC', [day]: [{ start: { hour: 9, minute: 0 }, end: { hour: 17, minute: 0 } }] };
+      axios.get.mockImplementation(async (url) => (url.includes('/agents/')
+        ? { data: { name: 'Agent', schedule } }
+        : { data: { active: 1, concurrency: 10 } }));
+      const input = tmp.writeFile('leads.csv', 'endpoint,deadline\n+12025550101,+1h\n+12025550102,+6d\n');
+      const originalExit = process.exit;
+      let exitCode;
+      process.exit = (code) => { exitCode = exitCode ?? code; throw new Error('process.exit'); };
+
+      try {
+        await batchCallCommand(input, 'agent-1', {
+          apiKey: 'k', apiUrl: 'https://x', batchSize: '100', delay: '0', duplicates: 'first', dryRun: true, store: tmp.dir
+        });
+      } catch (_) {
+        // process.exit throws
+      } finally {
+        process.exit = originalExit;
+      }
+
+      expect(exitCode).toBe(0);
+      expect(axios.get).toHaveBeenCalledWith('https://x/api/v1/agents/agent-1', expect.anything());
+      const rejected = fs.readFileSync(path.join(tmp.dir, 'leads.rejected.csv'), 'utf8');
+      expect(rejected).toMatch(/\+12025550101.*is before the agent's next schedule window/);
+      expect(rejected).not.toMatch(/\+12025550102/);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { findDuplicateRows } = require('../lib/duplicates');
+const { Stats } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+const rows = [
+  { row: 1, call: { endpoint: '+12025550101', priority: 1 } },
+  { row: 2, call: { endpoint: '+12025550102', priority: 1 } },
+  { row: 3, call: { endpoint: '+12025550101', priority: 5 } },
+  { row: 4, call: { endpoint: '+12025550101', priority: 2 } }
+];
+
+function droppedRows(policy) {
+  const dropped = findDuplicateRows(rows, policy);
+  return [...dropped.entries()].map(([row, of]) => [row.row, of]);
+}
+
+describe('duplicate detection', () => {
+  test('keep first', () => {
+    expect(droppedRows('first')).toEqual([[3, 1], [4, 1]]);
+  });
+
+  test('keep last', () => {
+    expect(droppedRows('last')).toEqual([[1, 4], [3, 4]]);
+  });
+
+  test('keep highest priority', () => {
+    expect(droppedRows('priority')).toEqual([[1, 3], [4, 3]]);
+  });
+
+  test('reject all copies', () => {
+    expect(droppedRows('reject')).toEqual([[1, 3], [3, 1], [4, 1]]);
+  });
+
+  test('unknown policy', () => {
+    expect(() => findDuplicateRows(rows, 'newest')).toThrow(/Unknown duplicate policy/);
+  });
+});
+
+describe('duplicates in a CSV file', () => {
+  const tmp = useTempDir('dupes');
+
+  test('matches on the normalized endpoint and tags dropped rows', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,name\n+1 202 555 0101,A\n+12025550102,B\n(202) 555-0101,C\n');
+    const stats = new Stats();
+    const { calls, allRows } = await tmp.readCalls(input, { defaultCountry: 'US' }, stats);
+
+    expect(calls.map(call => call.additionalData.name)).toEqual(['A', 'B']);
+    expect(allRows[2].error).toBe('duplicate of row 1');
+    expect(allRows[2].call).toBeUndefined();
+    expect(stats.duplicates).toBe(1);
+  });
+});
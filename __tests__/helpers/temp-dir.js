@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { readCallsFromCSV, Stats } = require('../../blackbox-cli.js');
+
+/**
+ * Give each test of the calling describe block a fresh temporary directory
+ * and a quiet console. Returns a fixture whose dir, writeFile() and
+ * readCalls() refer to the directory of the running test.
+ */
+function useTempDir(prefix) {
+  const fixture = {
+    dir: null,
+    // Write a file into the test's directory and return its path
+    writeFile(name, content) {
+      const file = path.join(fixture.dir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    },
+    // Read an input file the way batch-call does, with nothing enrolled yet
+    readCalls(file, readOptions = {}, stats = new Stats()) {
+      return readCallsFromCSV(file, stats, new Set(), false, readOptions);
+    }
+  };
+
+  beforeEach(() => {
+    fixture.dir = fs.mkdtempSync(path.join(os.tmpdir(), `blackbox-${prefix}-`));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(fixture.dir, { recursive: true, force: true });
+  });
+
+  return fixture;
+}
+
+module.exports = { useTempDir };
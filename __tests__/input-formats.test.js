@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const ExcelJS = require('exceljs');
+const { MAX_WORKBOOK_BYTES, detectInputFormat, writeRecords } = require('../lib/input-formats');
+const { getReportPaths } = require('../lib/csv-format');
+const { computeCsvFingerprint } = require('../lib/campaign-identity');
+const { writeProcessedCSV, writeRejectedReport, Stats } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('input formats', () => {
+  const tmp = useTempDir('formats');
+
+  test('format comes from --format or the file extension', () => {
+    expect(detectInputFormat('leads.json')).toBe('json');
+    expect(detectInputFormat('leads.JSONL')).toBe('ndjson');
+    expect(detectInputFormat('leads.xlsx')).toBe('xlsx');
+    expect(detectInputFormat('leads.tsv')).toBe('csv');
+    expect(detectInputFormat('leads.dat', 'NDJSON')).toBe('ndjson');
+    expect(() => detectInputFormat('leads.csv', 'xml')).toThrow(/Unknown input format: xml/);
+    expect(getReportPaths('/data/leads.json', {}, '.json').rejected).toBe('/data/leads.rejected.json');
+  });
+
+  test('JSON rows merge a nested additionalData object and keep types', async () => {
+    const input = tmp.writeFile('leads.json', JSON.stringify([
+      { endpoint: '+12025550101', priority: 2, name: 'Ann', additionalData: { plan: 'gold', visits: 3 } },
+      { endpoint: '12345' }
+    ]));
+
+    const stats = new Stats();
+    const { calls, allRows, headers } = await tmp.readCalls(input, { fileType: 'json' }, stats);
+
+    expect(headers).toEqual(['endpoint', 'priority', 'name', 'additionalData']);
+    expect(calls).toHaveLength(1);
+    expect(calls[0].priority).toBe(2);
+    expect(calls[0].additionalData).toEqual({ name: 'Ann', plan: 'gold', visits: 3 });
+    expect(allRows[1].error).toMatch(/must start with \+/);
+
+    const output = path.join(tmp.dir, 'leads.processed.json');
+    await writeProcessedCSV(output, allRows, { headers, fileType: 'json' });
+    const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+    expect(written[0]).toMatchObject({ normalized_endpoint: '+12025550101', error_message: '', additionalData: { plan: 'gold', visits: 3 } });
+    expect(written[1].error_message).toBe(allRows[1].error);
+  });
+
+  test('a malformed NDJSON line is rejected without stopping the file', async () => {
+    const input = tmp.writeFile('leads.ndjson', '{"endpoint":"+12025550101"}\n{"endpoint":\n\n["+12025550102"]\n{"endpoint":"+12025550103"}\n');
+
+    const stats = new Stats();
+    const { calls, allRows, headers } = await tmp.readCalls(input, { fileType: 'ndjson' }, stats);
+
+    expect(calls.map(call => call.endpoint)).toEqual(['+12025550101', '+12025550103']);
+    expect(allRows[1].error).toMatch(/^Invalid JSON on line 2/);
+    expect(allRows[2].error).toBe('Line 4 is not a JSON object');
+
+    const report = path.join(tmp.dir, 'leads.rejected.ndjson');
+    await expect(writeRejectedReport(report, allRows, headers, {}, 'ndjson')).resolves.toBe(2);
+    const lines = fs.readFileSync(report, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.row)).toEqual([2, 3]);
+  });
+
+  test('XLSX sheets are read through the same validation and written back', async () => {
+    const input = path.join(tmp.dir, 'leads.xlsx');
+    await writeRecords(input, 'xlsx', ['Phone', 'Name'], [
+      { Phone: '+12025550101', Name: 'Ann' },
+      { Phone: 'not a number', Name: 'Bob' }
+    ]);
+
+    const stats = new Stats();
+    const { calls, allRows, headers } = await tmp.readCalls(input, { fileType: 'xlsx' }, stats);
+
+    expect(calls).toHaveLength(1);
+    expect(calls[0].additionalData).toEqual({ Name: 'Ann' });
+    expect(allRows[1].error).not.toBe('');
+
+    const first = await computeCsvFingerprint(input);
+    const output = path.join(tmp.dir, 'leads.processed.xlsx');
+    await writeProcessedCSV(output, allRows, { headers, fileType: 'xlsx' });
+    const reread = await tmp.readCalls(output, { fileType: 'xlsx' });
+    expect(reread.headers).toEqual(['Phone', 'Name', 'normalized_endpoint', 'error_message']);
+    expect(await computeCsvFingerprint(output)).toBe(first);
+  });
+
+  test('XLSX numbers, dates and formulas are read as text', async () => {
+    const input = path.join(tmp.dir, 'typed.xlsx');
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Leads');
+    sheet.addRow(['endpoint', 'joined', 'visits', 'vip']);
+    sheet.addRow([12025550101, new Date('2024-05-07T18:00:00Z'), { formula: '1+2', result: 3 }, true]);
+    sheet.addRow([]);
+    await workbook.xlsx.writeFile(input);
+
+    const { calls, allRows } = await tmp.readCalls(input, { fileType: 'xlsx', defaultCountry: 'US' });
+
+    expect(allRows).toHaveLength(1);
+    expect(allRows[0].data).toEqual({ endpoint: '12025550101', joined: '2024-05-07T18:00:00', visits: '3', vip: 'TRUE' });
+    expect(allRows[0].error).toBe('');
+    expect(calls[0].endpoint).toBe('+12025550101');
+  });
+
+  test('oversized workbooks are refused before they are read', async () => {
+    const input = tmp.writeFile('huge.xlsx', '');
+    fs.truncateSync(input, MAX_WORKBOOK_BYTES + 1);
+
+    await expect(tmp.readCalls(input, { fileType: 'xlsx' })).rejects.toThrow(/larger than 50 MB/);
+  });
+
+  describe('from stdin', () => {
+    const stdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+    const pipeIn = (chunks) => {
+      Object.defineProperty(process, 'stdin', { value: Readable.from(chunks.map(chunk => Buffer.from(chunk))), configurable: true });
+    };
+
+    afterEach(() => {
+      Object.defineProperty(process, 'stdin', stdin);
+    });
+
+    test('CSV is streamed with the delimiter detected from the first chunk', async () => {
+      pipeIn(['endpoint;name\n+12025550101;Ann\n', '+12025550102;Bob\nbad;Cy\n']);
+      const format = {};
+      const { calls, allRows } = await tmp.readCalls('-', { format });
+
+      expect(format.delimiter).toBe(';');
+      expect(calls.map(call => call.additionalData.name)).toEqual(['Ann', 'Bob']);
+      expect(allRows[2].error).not.toBe('');
+    });
+
+    test('JSON is read whole', async () => {
+      pipeIn(['[{"endpoint":"+1202555', '0101"}]']);
+      const { calls } = await tmp.readCalls('-', { fileType: 'json' });
+      expect(calls[0].endpoint).toBe('+12025550101');
+    });
+  });
+});
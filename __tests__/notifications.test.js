@@ -0,0 +1,126 @@
+jest.mock('axios');
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseNotifyEvents, createNotifier, runEventCommand } = require('../lib/notifications');
+
+// Stand-in for CampaignWatcher with the state the triggers read
+function fakeWatcher(overrides = {}) {
+  const watcher = {
+    campaign: { campaignId: 'campaign_1', alias: 'spring', agentId: 'agent-1', totalCalls: 100 },
+    stats: { completed: 0, failed: 0, running: 0, queued: 100 },
+    concurrencyActive: 2,
+    concurrencyMax: 10,
+    concurrencyFetchError: null,
+    schedule: { isOpen: true, nextWindow: null },
+    isWithinSchedule() { return this.schedule; },
+    getProgress() {
+      const total = this.campaign.totalCalls;
+      return { completed: this.stats.completed, total, percentage: (this.stats.completed / total) * 100 };
+    },
+    isComplete() { return this.stats.completed >= this.campaign.totalCalls; },
+    isFinished() { return this.stats.completed + this.stats.failed >= this.campaign.totalCalls; },
+    ...overrides
+  };
+  return watcher;
+}
+
+describe('notifications', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    axios.post.mockResolvedValue({ status: 200 });
+  });
+
+  test('event lists are checked', () => {
+    expect(parseNotifyEvents()).toHaveLength(5);
+    expect(parseNotifyEvents('complete, stalled')).toEqual(['complete', 'stalled']);
+    expect(() => parseNotifyEvents('complete,done')).toThrow('Unknown notification event: done');
+  });
+
+  test('each milestone is posted once when reached and again only after it clears', async () => {
+    const notifier = createNotifier({ notifyUrl: 'https://hooks.example/x', failureThreshold: 20, stallMinutes: 10 });
+    const watcher = fakeWatcher();
+    const start = Date.now();
+
+    expect(await notifier.check(watcher, start)).toEqual([]);
+
+    // 3 failures out of 12 finished calls crosses 20%
+    watcher.stats = { completed: 9, failed: 3, running: 5, queued: 83 };
+    watcher.concurrencyActive = 10;
+    const sent = await notifier.check(watcher, start + 60000);
+    expect(sent.map(payload => payload.event)).toEqual(['failure-rate', 'concurrency-critical']);
+    expect(axios.post).toHaveBeenCalledWith('https://hooks.example/x', expect.objectContaining({
+      event: 'failure-rate',
+      failureRate: 25,
+      threshold: 20,
+      campaign: { campaignId: 'campaign_1', alias: 'spring', agentId: 'agent-1' },
+      stats: expect.objectContaining({ completed: 9, failed: 3, total: 100 })
+    }), expect.anything());
+
+    // Still critical: nothing new; cleared and critical again: sent again
+    expect(await notifier.check(watcher, start + 120000)).toEqual([]);
+    watcher.concurrencyActive = 2;
+    await notifier.check(watcher, start + 180000);
+    watcher.concurrencyActive = 10;
+    expect((await notifier.check(watcher, start + 240000)).map(payload => payload.event)).toEqual(['concurrency-critical']);
+  });
+
+  test('stalls are not reported outside the schedule window, completion is', async () => {
+    const notifier = createNotifier({ notifyUrl: 'https://hooks.example/x', events: ['stalled', 'outside-schedule', 'complete'], stallMinutes: 10 });
+    const watcher = fakeWatcher({ schedule: { isOpen: false, nextWindow: 'Mon 9:00AM' } });
+    const start = Date.now();
+
+    expect((await notifier.check(watcher, start)).map(payload => payload.event)).toEqual(['outside-schedule']);
+    expect(await notifier.check(watcher, start + 11 * 60000)).toEqual([]);
+
+    watcher.schedule = { isOpen: true, nextWindow: null };
+    const [stalled] = await notifier.check(watcher, start + 12 * 60000);
+    expect(stalled).toMatchObject({ event: 'stalled', minutes: 12, message: 'No progress for 12 minutes' });
+
+    watcher.stats = { completed: 98, failed: 2, running: 0, queued: 0 };
+    const [complete] = await notifier.check(watcher, start + 13 * 60000);
+    expect(complete).toMatchObject({ event: 'complete', allCompleted: false, message: 'Campaign finished with 2 failed calls' });
+  });
+
+  test('delivery failures are kept instead of thrown', async () => {
+    axios.post.mockRejectedValue({ response: { status: 404 } });
+    const notifier = createNotifier({ notifyUrl: 'https://hooks.example/x', events: ['complete'] });
+    const watcher = fakeWatcher({ stats: { completed: 100, failed: 0, running: 0, queued: 0 } });
+
+    await notifier.check(watcher);
+    expect(notifier.lastSent.event).toBe('complete');
+    expect(notifier.lastError).toBe('complete: webhook failed (HTTP 404)');
+  });
+
+  test('the local command gets the event on stdin and in the environment', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackbox-notify-'));
+    try {
+      const out = path.join(dir, 'event.json');
+      const command = `cat > "${out}" && test "$BLACKBOX_EVENT" = complete && test "$BLACKBOX_CAMPAIGN" = campaign_1`;
+      await runEventCommand(command, { event: 'complete', campaign: { campaignId: 'campaign_1' } });
+      expect(JSON.parse(fs.readFileSync(out, 'utf8'))).toEqual({ event: 'complete', campaign: { campaignId: 'campaign_1' } });
+
+      await expect(runEventCommand('exit 3', { event: 'stalled', campaign: { campaignId: 'campaign_1' } }))
+        .rejects.toThrow('command exited with code 3');
+      await expect(runEventCommand('kill -TERM $$', { event: 'stalled', campaign: { campaignId: 'campaign_1' } }))
+        .rejects.toThrow('command was killed by SIGTERM');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a timed out command is stopped with everything it started', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackbox-notify-'));
+    try {
+      const out = path.join(dir, 'late.txt');
+      await expect(runEventCommand(`(sleep 0.5; echo late > "${out}") & wait`, { event: 'stalled', campaign: { campaignId: 'campaign_1' } }, 100))
+        .rejects.toThrow('command timed out after 0.1s');
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      expect(fs.existsSync(out)).toBe(false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
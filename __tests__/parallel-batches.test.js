@@ -0,0 +1,73 @@
+jest.mock('axios');
+const axios = require('axios');
+
+const { processBatches, Stats } = require('..//blackbox-cli.js');
+
+describe('processBatches with parallel requests', () => {
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+
+  beforeEach(() => {
+    console.log = () => {};
+    console.error = () => {};
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+  });
+
+  function makeCalls(count) {
+    return Array.from({ length: count }, (_, i) => ({ endpoint: `+1555000000${i}` }));
+  }
+
+  function respondAfter(ms, batch) {
+    return new Promise(resolve => setTimeout(() => resolve({
+      data: batch.map(call => ({ callId: `id-${call.endpoint}`, endpoint: call.endpoint }))
+    }), ms));
+  }
+
+  const baseOptions = { apiUrl: 'https://x', apiKey: 'k', agentId: 'agent-1', batchSize: 1, delay: 0, retryOptions: { retries: 0 } };
+
+  test('keeps up to n requests in flight and records calls in CSV order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    // Earlier batches take longer so they finish last
+    const latencies = [40, 30, 20, 10, 5];
+    let callIndex = 0;
+    axios.post.mockImplementation(async (url, batch) => {
+      const latency = latencies[callIndex++];
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      const response = await respondAfter(latency, batch);
+      inFlight--;
+      return response;
+    });
+
+    const stats = new Stats();
+    const calls = makeCalls(5);
+    await processBatches(calls, { ...baseOptions, parallel: 3 }, stats);
+
+    expect(maxInFlight).toBe(3);
+    expect(stats.successful).toBe(5);
+    expect(stats.createdCalls.map(c => c.endpoint)).toEqual(calls.map(c => c.endpoint));
+  });
+
+  test('stops starting new batches after a fatal error', async () => {
+    axios.post.mockImplementation(async (url, batch) => {
+      if (batch[0].endpoint === '+15550000000') {
+        throw { response: { status: 401 } };
+      }
+      return respondAfter(5, batch);
+    });
+
+    const stats = new Stats();
+    await processBatches(makeCalls(10), { ...baseOptions, parallel: 2 }, stats);
+
+    // The fatal batch and the one already in flight are the only requests made
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(stats.failed).toBe(1);
+    expect(stats.successful).toBe(1);
+  });
+});
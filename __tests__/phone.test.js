@@ -0,0 +1,68 @@
+const { normalizeCountry, normalizePhoneNumber } = require('../lib/phone');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('phone normalization', () => {
+  test('international numbers are normalized to E.164', () => {
+    expect(normalizePhoneNumber('+1 (202) 555-0123')).toEqual({ e164: '+12025550123', country: 'US' });
+    expect(normalizePhoneNumber('+49 151 23456789').e164).toBe('+4915123456789');
+  });
+
+  test('national numbers use the given country', () => {
+    expect(normalizePhoneNumber('(202) 555-0123', 'US').e164).toBe('+12025550123');
+    expect(normalizePhoneNumber('020 7946 0018', 'gb')).toEqual({ e164: '+442079460018', country: 'GB' });
+  });
+
+  test('national numbers without a country are rejected', () => {
+    expect(() => normalizePhoneNumber('2025550123')).toThrow(/--default-country/);
+  });
+
+  test('checks per-country length and prefixes', () => {
+    expect(() => normalizePhoneNumber('+1234567890')).toThrow(/invalid length/);
+    expect(normalizePhoneNumber('+1 555 123 4567').e164).toBe('+15551234567');
+    expect(() => normalizePhoneNumber('+1 555 123 4567', null, { strict: true })).toThrow(/not valid/);
+    expect(() => normalizePhoneNumber('020 7946', 'GB', { strict: true })).toThrow(/GB/);
+    expect(() => normalizePhoneNumber('+1202555abcd')).toThrow(/only digits/);
+  });
+
+  test('country codes are validated', () => {
+    expect(normalizeCountry(' us ')).toBe('US');
+    expect(normalizeCountry('')).toBeNull();
+    expect(() => normalizeCountry('XX')).toThrow('Unknown country code: XX');
+  });
+});
+
+describe('CSV phone columns', () => {
+  const tmp = useTempDir('phone');
+
+  test('a country column overrides --default-country per row and the original is kept', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,country\n(202) 555-0123,\n020 7946 0018,GB\n12,FR\n');
+    const { calls, allRows } = await tmp.readCalls(input, { defaultCountry: 'US' });
+
+    expect(calls.map(call => call.endpoint)).toEqual(['+12025550123', '+442079460018']);
+    expect(allRows[0].data.endpoint).toBe('(202) 555-0123');
+    expect(allRows[0].normalized).toBe('+12025550123');
+    expect(allRows[2].error).toMatch(/FR/);
+  });
+
+  test('a free-text country is only a warning and never applies to international numbers', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,country\n+4915123456789,Germany\n+12025550123,USA\n(202) 555-0124,United States\n+12025550125,GB\n');
+    const { calls, allRows } = await tmp.readCalls(input, { defaultCountry: 'US' });
+
+    expect(calls.map(call => call.endpoint)).toEqual(['+4915123456789', '+12025550123', '+12025550124', '+12025550125']);
+    expect(calls[0].additionalData).toEqual({ country: 'Germany' });
+    expect(allRows.every(row => row.error === '')).toBe(true);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('1 rows have a country that is not an ISO code'));
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Row 3: United States'));
+  });
+
+  test('numbers outside the numbering plan are only rejected with strictPhone', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint\n+15551234567\n+12025550123\n');
+
+    const lenient = await tmp.readCalls(input);
+    expect(lenient.calls.map(call => call.endpoint)).toEqual(['+15551234567', '+12025550123']);
+
+    const strict = await tmp.readCalls(input, { strictPhone: true });
+    expect(strict.calls.map(call => call.endpoint)).toEqual(['+12025550123']);
+    expect(strict.allRows[0].error).toMatch(/not valid/);
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('axios');
+const axios = require('axios');
+
+const { processBatches, Stats } = require('..//blackbox-cli.js');
+const {
+  isTransientError,
+  isNotAppliedError,
+  parseRetryAfter,
+  getBackoffDelay,
+  withRetry
+} = require('../lib/retry');
+
+describe('retry - transient error detection', () => {
+  test('retries rate limits, 5xx and network failures', () => {
+    expect(isTransientError({ response: { status: 429 } })).toBe(true);
+    expect(isTransientError({ response: { status: 502 } })).toBe(true);
+    expect(isTransientError({ code: 'ECONNRESET' })).toBe(true);
+    expect(isTransientError({ request: {} })).toBe(true);
+  });
+
+  test('does not retry client errors', () => {
+    expect(isTransientError({ response: { status: 400 } })).toBe(false);
+    expect(isTransientError({ response: { status: 401 } })).toBe(false);
+    expect(isTransientError({ response: { status: 404 } })).toBe(false);
+    expect(isTransientError(new Error('boom'))).toBe(false);
+  });
+
+  test('requests the server may have acted on are not safe to repeat', () => {
+    expect(isNotAppliedError({ response: { status: 429 } })).toBe(true);
+    expect(isNotAppliedError({ response: { status: 503 } })).toBe(true);
+    expect(isNotAppliedError({ code: 'ECONNREFUSED', request: {} })).toBe(true);
+    expect(isNotAppliedError({ response: { status: 502 } })).toBe(false);
+    expect(isNotAppliedError({ response: { status: 504 } })).toBe(false);
+    expect(isNotAppliedError({ code: 'ECONNABORTED', request: {} })).toBe(false);
+    expect(isNotAppliedError({ code: 'ECONNRESET', request: {} })).toBe(false);
+    expect(isNotAppliedError({ request: {} })).toBe(false);
+  });
+});
+
+describe('retry - delays', () => {
+  test('parses Retry-After seconds and HTTP dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(undefined)).toBeNull();
+  });
+
+  test('backoff grows exponentially, is capped and jittered', () => {
+    expect(getBackoffDelay(0, 1000, 30000, () => 1)).toBe(1000);
+    expect(getBackoffDelay(3, 1000, 30000, () => 1)).toBe(8000);
+    expect(getBackoffDelay(10, 1000, 30000, () => 1)).toBe(30000);
+    expect(getBackoffDelay(3, 1000, 30000, () => 0)).toBe(4000);
+  });
+});
+
+describe('retry - withRetry', () => {
+  test('retries transient failures then succeeds', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ response: { status: 503 } })
+      .mockResolvedValueOnce('ok');
+    await expect(withRetry(fn, { retries: 3, baseDelayMs: 10, sleep })).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  test('honors Retry-After on 429', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '7' } } })
+      .mockResolvedValueOnce('ok');
+    await withRetry(fn, { retries: 1, baseDelayMs: 10, sleep });
+    expect(sleep).toHaveBeenCalledWith(7000);
+  });
+
+  test('caps a long Retry-After at maxDelayMs', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '7200' } } })
+      .mockResolvedValueOnce('ok');
+    await withRetry(fn, { retries: 1, maxDelayMs: 30000, sleep });
+    expect(sleep).toHaveBeenCalledWith(30000);
+  });
+
+  test('gives up after the configured retries and records attempts', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const fn = jest.fn().mockRejectedValue({ response: { status: 502 } });
+    await expect(withRetry(fn, { retries: 2, baseDelayMs: 10, sleep })).rejects.toMatchObject({ attempts: 3 });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry fatal statuses', async () => {
+    const sleep = jest.fn().mockResolvedValue();
+    const fn = jest.fn().mockRejectedValue({ response: { status: 401 } });
+    await expect(withRetry(fn, { retries: 5, sleep })).rejects.toMatchObject({ attempts: 1 });
+    expect(sleep).not.toHaveBeenCalled();
+  });
+});
+
+describe('retry - processBatches', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.resetAllMocks();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('only retries a batch when the server cannot have created its calls', async () => {
+    axios.post
+      .mockRejectedValueOnce({ response: { status: 429, headers: { 'retry-after': '0' } } })
+      .mockRejectedValueOnce({ code: 'ECONNREFUSED' })
+      .mockRejectedValueOnce({ response: { status: 502 } })
+      .mockImplementation(async (url, batch) => ({
+        data: batch.map(call => ({ callId: `id-${call.endpoint}`, endpoint: call.endpoint }))
+      }));
+
+    const stats = new Stats();
+    const calls = [{ endpoint: '+15550000000' }, { endpoint: '+15550000001' }];
+    await processBatches(calls, {
+      apiUrl: 'https://x', apiKey: 'k', agentId: 'agent-1', batchSize: 1, delay: 0, retryOptions: { retries: 3, baseDelayMs: 0 }
+    }, stats);
+
+    // Batch 1 is sent three times and fails on the 502; batch 2 goes through
+    expect(axios.post).toHaveBeenCalledTimes(4);
+    expect(axios.post.mock.calls[0][2].timeout).toBeGreaterThan(0);
+    expect(stats.failed).toBe(1);
+    expect(stats.successful).toBe(1);
+  });
+});
@@ -0,0 +1,63 @@
+const { compileSchema, loadSchemaFile, coerceValue, applySchema } = require('../lib/schema');
+const { Stats } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('additionalData schema', () => {
+  const schema = compileSchema({
+    fields: {
+      name: { type: 'string', required: true },
+      age: 'integer',
+      balance: { type: 'number', default: 0 },
+      vip: { type: 'boolean' },
+      visit: { type: 'date' },
+      tier: { enum: ['gold', 'silver'] },
+      ref: { pattern: '^[A-Z]{3}-\\d+$' }
+    }
+  });
+
+  test('coerces values to their declared types', () => {
+    expect(coerceValue('42', 'integer')).toBe(42);
+    expect(coerceValue('4.5', 'number')).toBe(4.5);
+    expect(coerceValue('Yes', 'boolean')).toBe(true);
+    expect(coerceValue('0', 'boolean')).toBe(false);
+    expect(coerceValue('2025-05-01', 'date')).toBe('2025-05-01T00:00:00.000Z');
+    expect(() => coerceValue('4.5', 'integer')).toThrow('expected an integer, got "4.5"');
+    expect(() => coerceValue('maybe', 'boolean')).toThrow(/true\/false/);
+  });
+
+  test('applies defaults and passes undeclared columns through', () => {
+    const result = applySchema(schema, { name: 'Ann', age: '30', balance: '', vip: 'no', notes: 'hi', empty: '' });
+    expect(result.errors).toEqual([]);
+    expect(result.data).toEqual({ name: 'Ann', age: 30, balance: 0, vip: false, notes: 'hi' });
+  });
+
+  test('reports required, type, enum and pattern failures', () => {
+    const result = applySchema(schema, { name: '', age: 'old', tier: 'bronze', ref: 'abc' });
+    expect(result.errors.map(error => error.field)).toEqual(['name', 'age', 'tier', 'ref']);
+    expect(result.errors[0].message).toBe('name is required');
+    expect(result.errors[2].message).toBe('tier must be one of gold, silver');
+  });
+
+  test('rejects invalid schema definitions', () => {
+    expect(() => compileSchema({ age: { type: 'float' } })).toThrow(/unknown type "float"/);
+    expect(() => compileSchema({ tier: { enum: [] } })).toThrow(/enum must be a non-empty array/);
+    expect(() => compileSchema({ ref: { pattern: '(' } })).toThrow(/invalid pattern/);
+  });
+
+  describe('with files', () => {
+    const tmp = useTempDir('schema');
+
+    test('rows failing the schema are rejected through error_message', async () => {
+      const schemaFile = tmp.writeFile('schema.json', JSON.stringify({ fields: { name: { required: true }, age: 'integer' } }));
+      const input = tmp.writeFile('leads.csv', 'endpoint,name,age\n+12025550101,Ann,30\n+12025550102,,x\n');
+
+      const stats = new Stats();
+      const { calls, allRows } = await tmp.readCalls(input, { schema: loadSchemaFile(schemaFile) }, stats);
+
+      expect(calls).toHaveLength(1);
+      expect(calls[0].additionalData).toEqual({ name: 'Ann', age: 30 });
+      expect(allRows[1].error).toBe('name is required; age: expected an integer, got "x"');
+      expect(stats.errors[0].schemaErrors.map(error => error.field)).toEqual(['name', 'age']);
+    });
+  });
+});
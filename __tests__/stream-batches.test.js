@@ -0,0 +1,131 @@
+jest.mock('axios');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const { streamBatchCalls, saveCampaign, Stats } = require('../blackbox-cli');
+const { getJournalPath, readJournalCalls } = require('../lib/batch-journal');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('streamBatchCalls', () => {
+  const tmp = useTempDir('stream');
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    axios.post.mockImplementation(async (url, batch) => ({
+      data: batch.map(call => ({ callId: `id-${call.endpoint}`, endpoint: call.endpoint, status: 'Created' }))
+    }));
+  });
+
+  const runOptions = (overrides = {}) => ({
+    fileType: 'csv',
+    csvFormat: {},
+    readOptions: {},
+    outputFile: path.join(tmp.dir, 'out.csv'),
+    reportFiles: { rejected: path.join(tmp.dir, 'rejected.csv'), enrolled: path.join(tmp.dir, 'enrolled.csv') },
+    apiUrl: 'https://x',
+    apiKey: 'k',
+    agentId: 'agent-1',
+    batchSize: 2,
+    delay: 0,
+    retryOptions: { retries: 0 },
+    ...overrides
+  });
+
+  test('sends full batches, drops later duplicates and writes rows as it goes', async () => {
+    const input = tmp.writeFile('leads.csv', 'endpoint,name\n+12025550101,Ann\nbad,Bob\n+12025550102,Cy\n+12025550101,Dup\n+12025550103,Ed\n');
+
+    const stats = new Stats();
+    const { reportCounts } = await streamBatchCalls(input, new Set(), runOptions(), stats);
+
+    expect(axios.post.mock.calls.map(([, batch]) => batch.map(call => call.endpoint))).toEqual([
+      ['+12025550101', '+12025550102'],
+      ['+12025550103']
+    ]);
+    expect(stats.total).toBe(5);
+    expect(stats.duplicates).toBe(1);
+    expect(reportCounts).toEqual({ rejected: 2, enrolled: 3 });
+    // Written rows are not kept around
+    expect(stats.createdByRequest.size).toBe(0);
+
+    const processed = fs.readFileSync(path.join(tmp.dir, 'out.csv'), 'utf8').trim().split('\n');
+    expect(processed[0]).toBe('endpoint,name,normalized_endpoint,error_message');
+    expect(processed[4]).toBe('+12025550101,Dup,+12025550101,duplicate of row 1');
+    const enrolled = fs.readFileSync(path.join(tmp.dir, 'enrolled.csv'), 'utf8').trim().split('\n');
+    expect(enrolled.slice(1).map(line => line.split(',')[0])).toEqual(['1', '3', '5']);
+  });
+
+  test('rows of a failed batch are tagged for a re-run', async () => {
+    const input = tmp.writeFile('leads.ndjson', '{"endpoint":"+12025550101"}\n{"endpoint":"+12025550102"}\n{"endpoint":"+12025550103"}\n');
+    axios.post.mockImplementation(async (url, batch) => {
+      if (batch.length === 2) throw Object.assign(new Error('boom'), { response: { status: 500 } });
+      return { data: batch.map(call => ({ callId: `id-${call.endpoint}`, endpoint: call.endpoint })) };
+    });
+
+    const stats = new Stats({ keepRows: false });
+    const outputFile = path.join(tmp.dir, 'out.ndjson');
+    const { reportCounts } = await streamBatchCalls(input, new Set(), runOptions({
+      fileType: 'ndjson',
+      outputFile,
+      reportFiles: { rejected: path.join(tmp.dir, 'rejected.ndjson'), enrolled: path.join(tmp.dir, 'enrolled.ndjson') }
+    }), stats);
+
+    expect(stats.successful).toBe(1);
+    expect(stats.failed).toBe(2);
+    expect(reportCounts).toEqual({ rejected: 2, enrolled: 1 });
+    const rows = fs.readFileSync(outputFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(rows.map(row => row.error_message)).toEqual(['API error: HTTP 500', 'API error: HTTP 500', '']);
+  });
+
+  test('the first batch goes out before the input has been read', async () => {
+    let produced = 0;
+    let producedAtFirstSend = null;
+    async function* lines() {
+      for (let i = 0; i < 500; i++) {
+        produced++;
+        yield Buffer.from(`{"endpoint":"+1202555${String(1000 + i)}"}\n`);
+      }
+    }
+    axios.post.mockImplementation(async (url, batch) => {
+      if (producedAtFirstSend === null) producedAtFirstSend = produced;
+      return { data: batch.map(call => ({ callId: `id-${call.endpoint}`, endpoint: call.endpoint })) };
+    });
+    const stdin = Object.getOwnPropertyDescriptor(process, 'stdin');
+    Object.defineProperty(process, 'stdin', { value: Readable.from(lines()), configurable: true });
+
+    try {
+      const stats = new Stats();
+      await streamBatchCalls('-', new Set(), runOptions({ fileType: 'ndjson', outputFile: null, batchSize: 5 }), stats);
+      expect(stats.successful).toBe(500);
+    } finally {
+      Object.defineProperty(process, 'stdin', stdin);
+    }
+    expect(producedAtFirstSend).toBeLessThan(100);
+  });
+
+  test('only counts rows and saves the campaign from the journal', async () => {
+    const input = path.join(tmp.dir, 'leads.csv');
+    const lines = Array.from({ length: 40 }, (_, i) => (i % 4 === 3 ? `bad-${i},x` : `+1202555${1000 + i},Name ${i}`));
+    fs.writeFileSync(input, `endpoint,name\n${lines.join('\n')}\n`);
+    const source = { csvFile: 'leads.csv', csvPath: input, agentId: 'agent-1' };
+    const journalFile = getJournalPath(tmp.dir, source);
+
+    const stats = new Stats({ keepRows: false });
+    await streamBatchCalls(input, new Set(), runOptions({ journalFile }), stats);
+
+    expect(stats.successful).toBe(30);
+    expect(stats.rowErrorCount).toBe(10);
+    expect(stats.errors).toHaveLength(5);
+    expect(stats.createdCalls).toHaveLength(5);
+    expect(stats.createdCallIds).toHaveLength(30);
+
+    const { campaignData } = saveCampaign(source, readJournalCalls(journalFile), 'new', tmp.dir, stats.createdCallIds);
+    const saved = JSON.parse(fs.readFileSync(path.join(tmp.dir, `${campaignData.campaignId}.json`), 'utf8'));
+    expect(saved.totalCalls).toBe(30);
+    expect(saved.callIds[1]).toBe('id-+12025551001');
+    expect(saved.callMapping['id-+12025551001']).toEqual({ endpoint: '+12025551001' });
+    expect(Object.keys(saved.callMapping)).toEqual(saved.callIds);
+    expect(fs.readFileSync(path.join(tmp.dir, 'last-campaign.json'), 'utf8')).toBe(JSON.stringify(saved, null, 2));
+  });
+});
@@ -0,0 +1,50 @@
+const path = require('path');
+
+const { loadSuppressionList, getSuppressionReason } = require('../lib/suppression');
+const { Stats } = require('..//blackbox-cli.js');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('suppression lists', () => {
+  const tmp = useTempDir('dnc');
+
+  test('reads plain lists with numbers, prefixes and comments', async () => {
+    const file = tmp.writeFile('dnc.txt', '# internal DNC\n+1 (202) 555-0101\n\n+1 900*\n202-555-0102\nnot a number\n');
+    const list = await loadSuppressionList([file], { defaultCountry: 'US' });
+
+    expect([...list.numbers.keys()]).toEqual(['+12025550101', '+12025550102']);
+    expect(list.prefixes).toEqual([{ prefix: '+1900', file: 'dnc.txt' }]);
+    expect(list.invalid).toHaveLength(1);
+    expect(list.invalid[0]).toMatchObject({ line: 6, value: 'not a number' });
+  });
+
+  test('reads the phone column of a CSV with a header', async () => {
+    const file = tmp.writeFile('dnc.csv', 'name,Phone,country\nAnn,020 7946 0018,GB\nBob,+12025550103,\nCy,+4915123456789,Germany\n');
+    const list = await loadSuppressionList([file]);
+    expect([...list.numbers.keys()]).toEqual(['+442079460018', '+12025550103', '+4915123456789']);
+  });
+
+  test('combines several files and reports which one matched', async () => {
+    const first = tmp.writeFile('a.txt', '+12025550101\n');
+    const second = tmp.writeFile('b.txt', '+1900*\n');
+    const list = await loadSuppressionList([first, second]);
+
+    expect(getSuppressionReason(list, '+12025550101')).toBe('Suppressed: on do-not-call list (a.txt)');
+    expect(getSuppressionReason(list, '+19005550100')).toBe('Suppressed: matches do-not-call prefix +1900 (b.txt)');
+    expect(getSuppressionReason(list, '+12025550199')).toBeNull();
+  });
+
+  test('missing files are an error', async () => {
+    await expect(loadSuppressionList([path.join(tmp.dir, 'missing.txt')])).rejects.toThrow(/not found/);
+  });
+
+  test('suppressed rows are skipped with a reason and counted', async () => {
+    const suppression = await loadSuppressionList([tmp.writeFile('dnc.txt', '+12025550101\n')]);
+    const input = tmp.writeFile('leads.csv', 'endpoint\n(202) 555-0101\n+12025550102\n');
+    const stats = new Stats();
+    const { calls, allRows } = await tmp.readCalls(input, { defaultCountry: 'US', suppression }, stats);
+
+    expect(calls.map(call => call.endpoint)).toEqual(['+12025550102']);
+    expect(allRows[0].error).toBe('Suppressed: on do-not-call list (dnc.txt)');
+    expect(stats.suppressed).toBe(1);
+  });
+});
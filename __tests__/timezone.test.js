@@ -0,0 +1,53 @@
+const { normalizeTimezone } = require('../lib/timezone');
+const { inferTimezone } = require('../lib/timezone-inference');
+const { useTempDir } = require('./helpers/temp-dir');
+
+describe('timezones', () => {
+  test('names are checked against Intl and returned in canonical form', () => {
+    expect(normalizeTimezone('america/new_york')).toBe('America/New_York');
+    expect(normalizeTimezone(' Asia/Tokyo ')).toBe('Asia/Tokyo');
+    expect(normalizeTimezone('UTC')).toBe('UTC');
+    expect(() => normalizeTimezone('America/NewYork')).toThrow('Unknown timezone: America/NewYork (did you mean America/New_York?)');
+    expect(() => normalizeTimezone('Berlin')).toThrow('(did you mean Europe/Berlin?)');
+    expect(() => normalizeTimezone('Mars/Olympus')).toThrow(/^Unknown timezone: Mars\/Olympus$/);
+  });
+
+  test('inference uses the area code in North America and the country elsewhere', () => {
+    expect(inferTimezone('+13125550101')).toMatchObject({ timezone: 'America/Chicago', country: 'US', source: 'area code', ambiguous: false });
+    expect(inferTimezone('+14165550101')).toMatchObject({ timezone: 'America/Toronto', country: 'CA', ambiguous: false });
+    expect(inferTimezone('+442071234567')).toMatchObject({ timezone: 'Europe/London', source: 'country', ambiguous: false });
+    // Zones sharing one offset are not ambiguous
+    expect(inferTimezone('+4930123456')).toMatchObject({ timezone: 'Europe/Berlin', ambiguous: false });
+    expect(inferTimezone('+80012345678')).toBeNull();
+  });
+
+  test('countries spanning several offsets get their main zone and are flagged', () => {
+    const split = inferTimezone('+18505550101');
+    expect(split).toMatchObject({ timezone: 'America/New_York', country: 'US', source: 'country', ambiguous: true });
+    expect(split.candidates).toContain('America/Chicago');
+    expect(inferTimezone('+61291234567')).toMatchObject({ timezone: 'Australia/Sydney', ambiguous: true });
+  });
+
+  describe('reading rows', () => {
+    const tmp = useTempDir('timezone');
+
+    test('rejects unknown zones and infers missing ones when asked', async () => {
+      const input = tmp.writeFile('leads.csv', [
+        'endpoint,timezone',
+        '+12025550101,America/NewYork',
+        '+12025550102,europe/berlin',
+        '+13125550103,',
+        '+18505550104,',
+        '+442071234567,'
+      ].join('\n') + '\n');
+
+      const { calls, allRows } = await tmp.readCalls(input, { inferTimezone: true });
+
+      expect(allRows[0].error).toBe('Unknown timezone: America/NewYork (did you mean America/New_York?)');
+      expect(calls.map(call => call.timezone)).toEqual(['Europe/Berlin', 'America/Chicago', 'America/New_York', 'Europe/London']);
+      const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+      expect(output).toContain('Inferred timezone for 3 rows');
+      expect(output).toMatch(/1 rows are in countries with several timezones[\s\S]*Row 4: \+18505550104 → America\/New_York \(US, \d+ zones\)/);
+    });
+  });
+});
@@ -14,6 +14,8 @@ describe('watch displays concurrency in header', () => {
     process.exit = (code) => { throw new Error('process.exit'); };
     console.log = (...args) => { outputs.push(args.join(' ')); };
     console.error = (...args) => { outputs.push(args.join(' ')); };
+    // Campaign files below are written to the repo-local store
+    process.env.BLACKBOX_STORE = require('path').join(__dirname, '..', '.blackbox-campaigns');
     jest.resetAllMocks();
   });
 
@@ -21,6 +23,7 @@ describe('watch displays concurrency in header', () => {
     process.exit = originalExit;
     console.log = originalConsoleLog;
     console.error = originalConsoleError;
+    delete process.env.BLACKBOX_STORE;
     jest.useRealTimers();
     // Clean up any created campaign files
     try {
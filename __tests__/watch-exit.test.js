@@ -17,12 +17,15 @@ describe('watch exits on definitive agent errors', () => {
     process.exit = (code) => { exitCode = code; throw new Error('process.exit'); };
     console.log = (...args) => { outputs.push(args.join(' ')); };
     console.error = (...args) => { outputs.push(args.join(' ')); };
+    // Campaign files below are written to the repo-local store
+    process.env.BLACKBOX_STORE = require('path').join(__dirname, '..', '.blackbox-campaigns');
   });
 
   afterEach(() => {
     process.exit = originalExit;
     console.log = originalConsoleLog;
     console.error = originalConsoleError;
+    delete process.env.BLACKBOX_STORE;
     jest.resetAllMocks();
     const fs = require('fs');
     cleanupFiles.forEach((f) => {
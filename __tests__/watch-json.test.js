@@ -0,0 +1,132 @@
+jest.mock('axios');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+describe('watch --json', () => {
+  const originalExit = process.exit;
+  // Campaign files below are written to the repo-local store
+  const dir = path.join(__dirname, '..', '.blackbox-campaigns');
+  const file = path.join(dir, 'campaign_json.json');
+  let exitCode;
+
+  const events = () => console.log.mock.calls.map(([line]) => JSON.parse(line));
+
+  const writeCampaign = (callIds) => {
+    fs.writeFileSync(file, JSON.stringify({
+      campaignId: 'campaign_json',
+      alias: 'spring',
+      csvFile: 'leads.csv',
+      agentId: 'agent-1',
+      totalCalls: callIds.length,
+      callIds,
+      callMapping: Object.fromEntries(callIds.map((id, i) => [id, { endpoint: `+1202555010${i}` }])),
+      createdAt: new Date().toISOString()
+    }));
+  };
+
+  const searchResponse = (statuses) => ({
+    data: {
+      results: Object.entries(statuses).map(([callId, callStatus]) => ({ callId, callStatus, durationSeconds: callStatus === 'Completed' ? 42 : undefined })),
+      totalPages: 1
+    }
+  });
+
+  const run = async (options = {}) => {
+    const { watchCommand } = require('..//blackbox-cli.js');
+    try {
+      await watchCommand('spring', { apiKey: 'k', apiUrl: 'https://x', refresh: '0.01', json: true, store: dir, ...options });
+    } catch (_) {
+      // process.exit throws
+    }
+  };
+
+  beforeEach(() => {
+    fs.mkdirSync(dir, { recursive: true });
+    exitCode = undefined;
+    process.exit = (code) => { exitCode = code; throw new Error('process.exit'); };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.resetAllMocks();
+    axios.get.mockImplementation(async (url) => (url.includes('/agents/')
+      ? { data: { name: 'Agent', schedule: { timezone: 'UTC' } } }
+      : { data: { active: 1, concurrency: 10 } }));
+  });
+
+  afterEach(() => {
+    process.exit = originalExit;
+    console.log.mockRestore();
+    console.error.mockRestore();
+    fs.rmSync(file, { force: true });
+  });
+
+  test('prints status changes and progress until every call is done', async () => {
+    writeCampaign(['a', 'b']);
+    axios.post
+      .mockResolvedValueOnce(searchResponse({ a: 'Queued', b: 'Queued' }))
+      .mockResolvedValueOnce(searchResponse({ a: 'Running', b: 'Queued' }))
+      .mockResolvedValueOnce(searchResponse({ a: 'Completed', b: 'Running' }))
+      .mockResolvedValue(searchResponse({ a: 'Completed', b: 'Completed' }));
+
+    await run();
+
+    expect(exitCode).toBe(0);
+    const output = events();
+    expect(output[0]).toMatchObject({ type: 'start', campaignId: 'campaign_json', alias: 'spring', agentName: 'Agent', totalCalls: 2 });
+    expect(output.filter(event => event.type === 'call').map(event => `${event.callId}:${event.from}>${event.to}`)).toEqual([
+      'a:null>queued',
+      'b:null>queued',
+      'a:queued>running',
+      'a:running>completed',
+      'b:queued>running',
+      'b:running>completed'
+    ]);
+    expect(output.find(event => event.to === 'completed')).toMatchObject({ endpoint: '+12025550100', durationSeconds: 42 });
+    expect(output.filter(event => event.type === 'progress')).toHaveLength(2);
+    expect(output[output.length - 2]).toMatchObject({ type: 'progress', completed: 2, total: 2, percentage: 100 });
+    expect(output[output.length - 1]).toMatchObject({ type: 'end', reason: 'complete', exitCode: 0 });
+    output.forEach(event => expect(typeof event.timestamp).toBe('string'));
+  });
+
+  test('calls that finished before watch started are reported from the first sync', async () => {
+    writeCampaign(['a', 'b', 'c']);
+    axios.post
+      .mockResolvedValueOnce(searchResponse({ a: 'Completed', b: 'Running' }))
+      // c is not found by id either, so it has expired
+      .mockResolvedValueOnce(searchResponse({}))
+      .mockResolvedValue(searchResponse({ b: 'Completed' }));
+
+    await run();
+
+    expect(exitCode).toBe(0);
+    expect(events().filter(event => event.type === 'call').map(event => `${event.callId}:${event.from}>${event.to}`)).toEqual([
+      'a:null>completed',
+      'b:null>running',
+      'c:null>expired',
+      'b:running>completed'
+    ]);
+  });
+
+  test('exits with 2 when the campaign finishes with failed calls', async () => {
+    writeCampaign(['a', 'b']);
+    axios.post.mockResolvedValue(searchResponse({ a: 'Completed', b: 'Failed' }));
+
+    await run();
+
+    expect(exitCode).toBe(2);
+    expect(events().pop()).toMatchObject({ type: 'end', reason: 'failed_calls', exitCode: 2 });
+  });
+
+  test('reports a definitive agent error as a fatal event', async () => {
+    writeCampaign(['a']);
+    axios.get.mockRejectedValue({ response: { status: 401 } });
+
+    await run();
+
+    expect(exitCode).toBe(1);
+    expect(events()).toEqual([
+      expect.objectContaining({ type: 'error', fatal: true, message: expect.stringMatching(/Invalid API key \(401\)\. Exiting: Invalid API key/) })
+    ]);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -11,42 +11,129 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const csv = require('csv-parser');
 const { Command } = require('commander');
 const cliProgress = require('cli-progress');
 const chalk = require('chalk');
 const ora = require('ora');
+const Table = require('cli-table3');
 const { fetchConcurrency } = require('./lib/concurrency-service');
-const { calculateUtilizationPct, getConcurrencyLevel, getConcurrencyStatusMessage } = require('./lib/concurrency-utils');
+const { calculateUtilizationPct, getConcurrencyLevel, getConcurrencyStatusMessage, getThrottleDecision } = require('./lib/concurrency-utils');
+const { isNotAppliedError, withRetry } = require('./lib/retry');
+const { LAST_CAMPAIGN_FILE, CAMPAIGN_TAG_FIELD, resolveStoreDir, migrateLegacyStore, listCampaigns, findCampaign, loadLastCampaign, writeCampaign, writeCampaignFile, deleteCampaign, validateAlias } = require('./lib/campaign-store');
+const { getCampaignSource, matchesCampaignSource } = require('./lib/campaign-identity');
+const { GENERATED_COLUMNS, detectCsvFormat, getProcessedCsvPath, getReportPaths } = require('./lib/csv-format');
+const { normalizeCountry, getRowCountry, normalizePhoneNumber } = require('./lib/phone');
+const { DUPLICATE_POLICIES, findDuplicateRows } = require('./lib/duplicates');
+const { loadSuppressionList, getSuppressionReason } = require('./lib/suppression');
+const { parseMapOption, loadMappingFile, saveMappingFile, resolveColumnMap } = require('./lib/column-map');
+const { loadSchemaFile, applySchema } = require('./lib/schema');
+const { parseDeadline } = require('./lib/deadline');
+const { normalizeTimezone, getSystemTimezone } = require('./lib/timezone');
+const { inferTimezone } = require('./lib/timezone-inference');
+const { fetchAgentSchedule, getNextWindowStart, formatWindowStart } = require('./lib/agent-schedule');
+const { FORMAT_EXTENSIONS, ROW_ERROR, isStdin, detectInputFormat, isPlainObject, createRowStream, writeRecords, createRecordWriter } = require('./lib/input-formats');
+const { parseNotifyEvents, createNotifier } = require('./lib/notifications');
+const { createCallBrowser } = require('./lib/call-list');
+const { getJournalPath, appendJournalEntry, readJournal, readJournalCalls, getJournalCalls, removeJournal } = require('./lib/batch-journal');
+
+// Rows kept as examples of each kind when a run does not keep every row
+const STATS_SAMPLE_SIZE = 5;
 
 // Statistics tracking
 class Stats {
-  constructor() {
+  // options.keepRows = false (--stream) keeps counts, the created callIds and the
+  // first few rejected and created rows instead of every row; the reports and
+  // the batch journal have them all
+  constructor(options = {}) {
+    this.keepRows = options.keepRows !== false;
     this.total = 0;
     this.successful = 0;
     this.failed = 0;
     this.skipped = 0;
+    this.duplicates = 0;
+    this.suppressed = 0;
     this.errors = [];
-    this.createdCalls = [];
+    this.rowErrorCount = 0;
+    this.schemaErrorCount = 0;
+    this.schemaErrorFields = new Map();
+    this.createdBatches = [];
+    this.createdCallIds = [];
+    this._createdCalls = null;
+    this.createdByRequest = new Map();
+    this.failedCalls = [];
+    this.lastFailureReason = null;
   }
 
   addError(error) {
+    if (typeof error.row === 'number') {
+      this.rowErrorCount++;
+      if (Array.isArray(error.schemaErrors)) {
+        this.schemaErrorCount++;
+        error.schemaErrors.forEach(({ field }) => this.schemaErrorFields.set(field, (this.schemaErrorFields.get(field) || 0) + 1));
+      }
+      if (!this.keepRows && this.rowErrorCount > STATS_SAMPLE_SIZE) return;
+    } else if (!this.keepRows && this.errors.length > STATS_SAMPLE_SIZE) {
+      // Failed batches are still counted by status for the summary
+      const { batch, status, attempts } = error;
+      error = { batch, status, attempts };
+    }
     this.errors.push(error);
   }
 
-  addCreatedCalls(calls) {
-    this.createdCalls.push(...calls);
+  // requests, when given, are the call requests of the batch in the same order as calls
+  addCreatedCalls(calls, batchNumber = this.createdBatches.length + 1, requests = []) {
+    if (!this.keepRows) {
+      calls.forEach(call => this.createdCallIds.push(call.callId));
+    }
+    if (this.keepRows || this.successful < STATS_SAMPLE_SIZE) {
+      this.createdBatches.push({ batchNumber, calls: this.keepRows ? calls : calls.slice(0, STATS_SAMPLE_SIZE - this.successful) });
+    }
+    requests.forEach((request, index) => {
+      if (calls[index]) {
+        this.createdByRequest.set(request, calls[index]);
+      }
+    });
+    this._createdCalls = null;
     this.successful += calls.length;
   }
 
+  // Created calls in CSV order, even when parallel batches finish out of order
+  get createdCalls() {
+    if (!this._createdCalls) {
+      this._createdCalls = this.createdBatches
+        .slice()
+        .sort((a, b) => a.batchNumber - b.batchNumber)
+        .flatMap(batch => batch.calls);
+    }
+    return this._createdCalls;
+  }
+
   addFailedCount(count) {
     this.failed += count;
   }
+
+  addFailedCalls(calls, reason) {
+    if (this.keepRows) {
+      calls.forEach(call => this.failedCalls.push({ call, reason }));
+    }
+    this.lastFailureReason = reason;
+    this.addFailedCount(calls.length);
+  }
   
   addSkippedCount(count) {
     this.skipped += count;
   }
+
+  addDuplicateCount(count) {
+    this.duplicates += count;
+  }
+
+  addSuppressedCount(count) {
+    this.suppressed += count;
+  }
 }
 
 /**
@@ -80,6 +167,11 @@ function computePrimaryApiFailure(errors) {
   return { status, count };
 }
 
+// Commander helper for options that can be given more than once
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
 // Initialize commander
 const program = new Command();
 
@@ -90,13 +182,38 @@ program
 
 program
   .command('batch-call <csv-file> <agent-id>')
-  .description('Create batch calls from a CSV file')
+  .usage('[options] <csv-file|-> <agent-id>')
+  .description('Create batch calls from a CSV, JSON, NDJSON or XLSX file')
   .option('-k, --api-key <key>', 'BlackBox API key (overrides BLACKBOX_API_KEY env var)')
   .option('-u, --api-url <url>', 'BlackBox API URL', process.env.BLACKBOX_API_URL || 'https://blackbox.dasha.ai')
   .option('-b, --batch-size <number>', 'Number of calls per batch', '100')
   .option('-d, --delay <ms>', 'Delay between batches in milliseconds', '1000')
+  .option('-p, --parallel <number>', 'Number of bulk requests to keep in flight', '1')
+  .option('--adaptive', 'Adjust pacing between batches based on org concurrency')
+  .option('--retries <number>', 'Retries for batches the API turned away (429, 503) or could not be reached for', '3')
+  .option('--retry-delay <ms>', 'Base delay for exponential retry backoff in milliseconds', '1000')
+  .option('--default-deadline <deadline>', 'Deadline for rows without one, e.g. +36h, "end of day" or "tomorrow 18:00" (default: +24h)')
+  .option('--default-country <iso>', 'Country (ISO 3166-1 alpha-2, e.g. US, GB) for phone numbers without a + prefix')
+  .option('--strict-phone', 'Also reject numbers not in use in their country\'s numbering plan (e.g. US 555 area code)')
+  .option('--infer-timezone', 'Derive the timezone from the phone number (country or area code) when the column is empty')
+  .option('--map <mapping>', 'Map CSV columns to fields, e.g. endpoint=Phone,deadline=due_by')
+  .option('--map-file <file>', 'Load a column mapping saved as JSON ({"endpoint": "Phone"})')
+  .option('--save-map <file>', 'Save the column mapping used for this CSV as JSON for --map-file')
+  .option('--schema <file>', 'JSON schema for additionalData fields (type, required, default, enum, pattern)')
+  .option('--suppress <file>', 'Do-not-call list (CSV or one number/prefix per line); repeatable', collectOption, [])
+  .option('--duplicates <policy>', 'Repeated numbers in the file: keep first, last, priority (highest) or reject all copies', 'first')
+  .option('-o, --output <file>', 'Write the processed CSV (with error_message) to this file')
+  .option('--in-place', 'Write the processed CSV back over the input file')
+  .option('--report-dir <dir>', 'Write rejected.csv and enrolled.csv to this directory')
+  .option('--format <format>', 'Input format: csv, json, ndjson or xlsx (default: from file extension)')
   .option('--dry-run', 'Parse CSV and validate without making API calls')
+  .option('--stream', 'Send batches while reading instead of loading the whole file (CSV and NDJSON); keeps each distinct number and created callId in memory, about 150 MB per million rows')
+  .option('-c, --campaign <campaign>', 'Campaign to append to (id or alias), or "new" to start a fresh one')
+  .option('--fingerprint', 'Match the existing campaign on CSV contents as well as path and agent')
+  .option('--tag-campaign', 'Stamp a generated campaign tag into each call\'s additionalData so watch can look the calls up by it')
+  .option('--resume', 'Recover calls from an interrupted run before sending the remaining rows')
   .option('--verbose', 'Show detailed debug information')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
   .action(batchCallCommand);
 
 program
@@ -105,97 +222,176 @@ program
   .option('-k, --api-key <key>', 'BlackBox API key (overrides BLACKBOX_API_KEY env var)')
   .option('-u, --api-url <url>', 'BlackBox API URL', process.env.BLACKBOX_API_URL || 'https://blackbox.dasha.ai')
   .option('-r, --refresh <seconds>', 'Refresh interval in seconds', '3')
+  .option('--json', 'Print call status changes and progress as NDJSON events instead of the dashboard')
+  .option('--lookup <strategy>', 'How to find the campaign\'s calls: auto, tag, ids or agent', 'auto')
+  .option('--progress-interval <seconds>', 'Seconds between progress events with --json', '60')
+  .option('--notify-url <url>', 'POST a JSON notification to this URL on campaign milestones')
+  .option('--on-event <command>', 'Run a shell command on campaign milestones (event JSON on stdin and in BLACKBOX_EVENT_JSON)')
+  .option('--notify-on <events>', 'Milestones to notify on: complete, failure-rate, concurrency-critical, outside-schedule, stalled (default: all)')
+  .option('--failure-threshold <percent>', 'Failure rate that triggers the failure-rate notification', '20')
+  .option('--stall-minutes <minutes>', 'Minutes without progress that trigger the stalled notification', '15')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
   .action(watchCommand);
 
+const campaignsCommand = program
+  .command('campaigns')
+  .description('Manage saved campaigns');
+
+campaignsCommand
+  .command('list')
+  .alias('ls')
+  .description('List saved campaigns')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
+  .action(campaignsListCommand);
+
+campaignsCommand
+  .command('show <campaign>')
+  .description('Show details of a saved campaign (id or alias)')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
+  .action(campaignsShowCommand);
+
+campaignsCommand
+  .command('rm <campaign>')
+  .alias('delete')
+  .description('Delete a saved campaign (id or alias)')
+  .option('-y, --yes', 'Delete without asking for confirmation')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
+  .action(campaignsRemoveCommand);
+
+campaignsCommand
+  .command('rename <campaign> <alias>')
+  .description('Give a campaign a friendly alias usable by watch and batch-call')
+  .option('--store <dir>', 'Campaign store directory (overrides BLACKBOX_STORE env var)')
+  .action(campaignsRenameCommand);
+
 /**
- * Validate phone number format
+ * Validate a phone number and return it in E.164 format.
+ * National numbers (without +) are read for the given country (ISO code);
+ * strict also checks the country's numbering plan (see lib/phone).
  */
-function validatePhoneNumber(phoneNumber) {
-  // Remove common formatting characters (spaces, dashes, parentheses)
-  const cleaned = phoneNumber.trim().replace(/[\s\-()]/g, '');
-  
-  // Check if starts with +
-  if (!cleaned.startsWith('+')) {
-    throw new Error('Phone number must start with + (e.g., +1234567890)');
-  }
-  
-  // Check if contains only + followed by digits
-  if (!/^\+\d+$/.test(cleaned)) {
-    throw new Error('Phone number must contain only digits after the + sign');
-  }
-  
-  // Check reasonable length (between 7 and 15 digits after +)
-  const digitsOnly = cleaned.substring(1);
-  if (digitsOnly.length < 7 || digitsOnly.length > 15) {
-    throw new Error('Phone number must be between 7 and 15 digits (excluding +)');
-  }
-  
-  return cleaned;
+function validatePhoneNumber(phoneNumber, country, strict = false) {
+  return normalizePhoneNumber(phoneNumber, country, { strict }).e164;
 }
 
 /**
  * Write processed CSV with error messages
+ * options.headers keeps the source column order; options.format (see lib/csv-format)
+ * keeps its delimiter, quoting and line endings. options.fileType writes JSON,
+ * NDJSON or XLSX input back in the same format. Resolves to outputFile.
  */
-function writeProcessedCSV(csvFile, allRows) {
-  // Get headers from first row, add error_message if not present
-  const firstRow = allRows[0];
-  const headers = Object.keys(firstRow.data);
-  if (!headers.includes('error_message')) {
-    headers.push('error_message');
-  }
-  
-  // Build CSV content
-  let csvContent = headers.map(h => `"${h}"`).join(',') + '\n';
+async function writeProcessedCSV(outputFile, allRows, options = {}) {
+  const headers = getProcessedHeaders(options.headers || Object.keys(allRows.length > 0 ? allRows[0].data : {}));
+  const records = allRows.map(toProcessedRecord);
+  await writeRecords(outputFile, options.fileType || 'csv', headers, records, options.format || {});
   
+  return outputFile;
+}
+
+// Keep the source column order, add generated columns if not present
+function getProcessedHeaders(headers) {
+  return headers.concat(GENERATED_COLUMNS.filter(column => !headers.includes(column)));
+}
+
+const ENROLLED_REPORT_HEADERS = ['row', 'endpoint', 'callId', 'status', 'nextScheduleTime'];
+
+function toProcessedRecord(row) {
+  return {
+    ...row.data,
+    normalized_endpoint: row.normalized || '',
+    error_message: row.error || ''
+  };
+}
+
+function toRejectedRecord(row, dataHeaders) {
+  const record = { row: row.row };
+  dataHeaders.forEach(header => {
+    record[header] = row.data[header];
+  });
+  record.reason = row.error;
+  return record;
+}
+
+function toEnrolledRecord(row, created) {
+  return {
+    row: row.row,
+    endpoint: created.endpoint || row.call.endpoint,
+    callId: created.callId,
+    status: created.status || '',
+    nextScheduleTime: created.nextScheduleTime || ''
+  };
+}
+
+/**
+ * Write rows that were not sent (validation errors, failed batches) with their
+ * row number, original data and reason. Resolves to the number of rows written.
+ */
+async function writeRejectedReport(reportFile, allRows, headers, format = {}, fileType = 'csv') {
+  const dataHeaders = headers.filter(header => !GENERATED_COLUMNS.includes(header));
+  const rejected = allRows.filter(row => row.error);
+  const records = rejected.map(row => toRejectedRecord(row, dataHeaders));
+  await writeRecords(reportFile, fileType, ['row', ...dataHeaders, 'reason'], records, format);
+  return rejected.length;
+}
+
+/**
+ * Write rows enrolled in this run with the callId, status and schedule from the bulk response.
+ * Resolves to the number of rows written.
+ */
+async function writeEnrolledReport(reportFile, allRows, stats, format = {}, fileType = 'csv') {
+  const records = [];
   allRows.forEach(row => {
-    const values = headers.map(header => {
-      if (header === 'error_message') {
-        return `"${row.error || ''}"`;
-      }
-      const value = row.data[header] || '';
-      return `"${String(value).replace(/"/g, '""')}"`;
-    });
-    csvContent += values.join(',') + '\n';
+    const created = row.call && stats.createdByRequest.get(row.call);
+    if (created) {
+      records.push(toEnrolledRecord(row, created));
+    }
   });
-  
-  // Write back to original file
-  fs.writeFileSync(csvFile, csvContent);
-  
-  return csvFile;
+  await writeRecords(reportFile, fileType, ENROLLED_REPORT_HEADERS, records, format);
+  return records.length;
+}
+
+// Campaign files used to live next to this script
+const LEGACY_CAMPAIGNS_DIR = path.join(__dirname, '.blackbox-campaigns');
+
+/**
+ * Directory where campaign metadata is stored.
+ * Resolved from --store, BLACKBOX_STORE or the default location; campaign
+ * files left in the legacy location are copied there on first use.
+ */
+function getCampaignsDir(options = {}) {
+  const campaignsDir = resolveStoreDir(options.store);
+  const migrated = migrateLegacyStore(LEGACY_CAMPAIGNS_DIR, campaignsDir);
+  if (migrated.length > 0) {
+    // Keep stdout to NDJSON events for watch --json
+    (options.json ? console.error : console.log)(chalk.blue(`ℹ️  Copied ${migrated.length} campaign file(s) from ${LEGACY_CAMPAIGNS_DIR} to ${campaignsDir}`));
+  }
+  return campaignsDir;
 }
 
+// --campaign value that always starts a fresh campaign
+const NEW_CAMPAIGN = 'new';
+
 /**
- * Load previously enrolled endpoints from campaign data
+ * Load previously enrolled endpoints from campaign data.
+ * source identifies the CSV and agent (see lib/campaign-identity).
+ * With campaignRef (id or alias) only that campaign is considered; 'new' skips deduplication.
  */
-function loadPreviousCampaignEndpoints(csvFile) {
-  const campaignsDir = path.join(__dirname, '.blackbox-campaigns');
-  const csvBaseName = path.basename(csvFile);
+function loadPreviousCampaignEndpoints(source, campaignRef, campaignsDir = getCampaignsDir()) {
   const enrolledEndpoints = new Set();
-  
-  if (!fs.existsSync(campaignsDir)) {
+  if (campaignRef === NEW_CAMPAIGN) {
     return enrolledEndpoints;
   }
   
-  // Look for campaigns that used this CSV file
-  const campaignFiles = fs.readdirSync(campaignsDir)
-    .filter(f => f.endsWith('.json') && f !== 'last-campaign.json');
+  // Look for campaigns that used this CSV file for this agent
+  const campaigns = campaignRef
+    ? [findCampaign(campaignsDir, campaignRef)].filter(Boolean)
+    : listCampaigns(campaignsDir).filter(({ data }) => matchesCampaignSource(data, source));
   
-  for (const campaignFile of campaignFiles) {
-    try {
-      const campaignData = JSON.parse(
-        fs.readFileSync(path.join(campaignsDir, campaignFile), 'utf8')
-      );
-      
-      // Check if this campaign used the same CSV file
-      if (campaignData.csvFile === csvBaseName && campaignData.callMapping) {
-        // Add all endpoints from this campaign
-        Object.values(campaignData.callMapping).forEach(call => {
-          enrolledEndpoints.add(call.endpoint);
-        });
-      }
-    } catch (error) {
-      // Skip invalid campaign files
-      continue;
+  for (const { data: campaignData } of campaigns) {
+    if (campaignData.callMapping) {
+      // Add all endpoints from this campaign
+      Object.values(campaignData.callMapping).forEach(call => {
+        enrolledEndpoints.add(call.endpoint);
+      });
     }
   }
   
@@ -203,176 +399,448 @@ function loadPreviousCampaignEndpoints(csvFile) {
 }
 
 /**
- * Get system timezone
+ * The saved campaign a run's calls go to (see saveCampaign), or null when a
+ * new campaign will be created.
  */
-function getSystemTimezone() {
-  try {
-    return Intl.DateTimeFormat().resolvedOptions().timeZone;
-  } catch (e) {
-    return 'UTC';
-  }
+function findTargetCampaign(source, campaignRef, campaignsDir) {
+  if (campaignRef === NEW_CAMPAIGN) return null;
+  if (campaignRef) return findCampaign(campaignsDir, campaignRef);
+  return listCampaigns(campaignsDir).find(({ data }) => matchesCampaignSource(data, source)) || null;
 }
 
 /**
- * Parse deadline string and validate it
+ * Save created calls to the campaign for this source, creating it if needed.
+ * With campaignRef (id or alias) the calls are appended to that campaign; 'new' always creates one.
+ * createdCalls can be any iterable read once (e.g. the journal of a --stream run) when
+ * their callIds are given; the calls are written to the file as they are read.
+ * Returns { campaignId, campaignData, isNew }; campaignData.callMapping does not
+ * include the calls just saved.
  */
-function parseDeadline(deadlineStr) {
-  if (!deadlineStr) {
-    // Default to 24 hours from now
-    const deadline = new Date();
-    deadline.setHours(deadline.getHours() + 24);
-    return deadline.toISOString();
+function saveCampaign(source, createdCalls, campaignRef, campaignsDir = getCampaignsDir(), callIds = createdCalls.map(call => call.callId)) {
+  // Create campaigns directory if it doesn't exist
+  if (!fs.existsSync(campaignsDir)) {
+    fs.mkdirSync(campaignsDir, { recursive: true });
   }
   
-  const deadline = new Date(deadlineStr);
-  if (isNaN(deadline.getTime())) {
-    throw new Error(`Invalid deadline format: ${deadlineStr}`);
+  // Look for existing campaign for this source (newest first)
+  const existing = findTargetCampaign(source, campaignRef, campaignsDir);
+  if (!existing && campaignRef && campaignRef !== NEW_CAMPAIGN) {
+    throw new Error(`Campaign not found: ${campaignRef}`);
   }
+  const existingCampaign = existing ? existing.data : null;
   
-  const now = new Date();
-  const sevenDaysFromNow = new Date();
-  sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
+  let campaignData;
+  let campaignId;
+  let campaignFile;
   
-  if (deadline < now) {
-    throw new Error(`Deadline is in the past: ${deadlineStr}`);
+  if (existingCampaign) {
+    // Update existing campaign
+    campaignId = existingCampaign.campaignId;
+    campaignFile = existing.file;
+    
+    // Merge new calls into existing campaign, skipping ones already recorded
+    const knownIds = new Set(existingCampaign.callIds);
+    existingCampaign.callMapping = existingCampaign.callMapping || {};
+    callIds.forEach(id => {
+      if (knownIds.has(id)) {
+        // The details of the new call replace the recorded ones
+        delete existingCampaign.callMapping[id];
+      } else {
+        existingCampaign.callIds.push(id);
+      }
+    });
+    existingCampaign.totalCalls = existingCampaign.callIds.length;
+    existingCampaign.successful = existingCampaign.callIds.length;
+    existingCampaign.lastUpdated = new Date().toISOString();
+    // Campaigns saved before path tracking are upgraded on first append
+    if (!existingCampaign.csvPath && existingCampaign.csvFile === source.csvFile) {
+      existingCampaign.csvPath = source.csvPath;
+    }
+    
+    campaignData = existingCampaign;
+  } else {
+    // Create new campaign
+    const baseId = `campaign_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    campaignId = baseId;
+    // "--campaign new" can start a second campaign within the same millisecond
+    for (let n = 2; fs.existsSync(path.join(campaignsDir, `${campaignId}.json`)); n++) {
+      campaignId = `${baseId}-${n}`;
+    }
+    campaignFile = path.join(campaignsDir, `${campaignId}.json`);
+    
+    campaignData = {
+      campaignId,
+      csvFile: source.csvFile,
+      csvPath: source.csvPath,
+      agentId: source.agentId,
+      totalCalls: callIds.length,
+      successful: callIds.length,
+      callIds,
+      callMapping: {},
+      createdAt: new Date().toISOString()
+    };
+    if (source.csvFingerprint) {
+      campaignData.csvFingerprint = source.csvFingerprint;
+    }
+    if (source.tag) {
+      campaignData.tag = source.tag;
+    }
+    if (source.alias && !validateAlias(campaignsDir, source.alias, campaignId)) {
+      campaignData.alias = source.alias;
+    }
   }
   
-  if (deadline > sevenDaysFromNow) {
-    throw new Error(`Deadline is more than 7 days in future: ${deadlineStr}`);
-  }
+  // Save campaign data, and also as last campaign for easy access
+  writeCampaignFile(campaignFile, campaignData, createdCalls);
+  fs.copyFileSync(campaignFile, path.join(campaignsDir, LAST_CAMPAIGN_FILE));
   
-  return deadline.toISOString();
+  return { campaignId, campaignData, isNew: !existingCampaign };
+}
+
+/**
+ * Replay the journal of an interrupted run into the campaign file.
+ * Returns { count, campaignId } where campaignId is the campaign that received the calls.
+ */
+function recoverFromJournal(journalFile, source, campaignRef, campaignsDir = getCampaignsDir()) {
+  const entries = readJournal(journalFile);
+  const recoveredCalls = getJournalCalls(entries);
+  let campaignId = null;
+  if (recoveredCalls.length > 0) {
+    const saved = saveCampaign(source, recoveredCalls, entries[0].campaign || campaignRef, campaignsDir);
+    campaignId = saved.campaignId;
+  }
+  removeJournal(journalFile);
+  return { count: recoveredCalls.length, campaignId };
 }
 
 /**
- * Read CSV file and parse calls
+ * Per-row validation shared by readCallsFromCSV and streaming runs.
+ * setHeaders() resolves the column mapping (and throws when it does not fit the
+ * header); validate() turns one parsed row into { row, data, error, normalized?, call? }.
+ * With readOptions.inferTimezone, rows without a timezone get one from their
+ * number; `inferred` counts them and `ambiguous` keeps the guesses that had
+ * several candidate zones (count plus the first few rows). `unknownCountries`
+ * keeps national numbers whose country column is not an ISO code the same way.
  */
-async function readCallsFromCSV(filePath, stats, enrolledEndpoints, verbose) {
-  const spinner = ora('Reading CSV file...').start();
+function createRowValidator(stats, enrolledEndpoints, verbose, readOptions = {}) {
+  let columnMap = {};
+  let knownColumns = GENERATED_COLUMNS;
   
-  return new Promise((resolve, reject) => {
-    const calls = [];
-    const allRows = [];
-    let rowNumber = 0;
-    let skippedCount = 0;
+  const recordError = (rowData, row, message, extra = {}) => {
+    console.error(chalk.red(`✗ Error parsing row ${rowData.row}: ${JSON.stringify(row)}`));
+    console.error(chalk.red(`  Reason: ${message}`));
+    stats.addError({ row: rowData.row, data: row, ...extra, error: message });
+    rowData.error = message;
+    return rowData;
+  };
+  
+  return {
+    skipped: 0,
+    suppressed: 0,
+    inferred: 0,
+    ambiguous: { count: 0, rows: [] },
+    unknownCountries: { count: 0, rows: [] },
     
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (row) => {
-        rowNumber++;
-        const rowData = { data: row, error: '' };
+    get columnMap() {
+      return columnMap;
+    },
+    
+    setHeaders(headers) {
+      columnMap = resolveColumnMap(headers.filter(header => !GENERATED_COLUMNS.includes(header)), readOptions.columnMap);
+      // Mapped columns are sent as call fields; country is kept in additionalData as well
+      knownColumns = Object.entries(columnMap)
+        .filter(([field]) => field !== 'country')
+        .map(([, header]) => header)
+        .concat(GENERATED_COLUMNS);
+    },
+    
+    validate(row, rowNumber) {
+      const rowData = { row: rowNumber, data: row, error: '' };
+      
+      try {
+        // Clear columns generated by a previous run for revalidation
+        GENERATED_COLUMNS.forEach(column => delete row[column]);
+        if (row[ROW_ERROR]) {
+          throw new Error(row[ROW_ERROR]);
+        }
+        const field = (name) => {
+          const value = columnMap[name] ? row[columnMap[name]] : undefined;
+          return value === undefined || value === null ? value : String(value);
+        };
         
+        // Required fields
+        const endpoint = field('endpoint');
+        if (!endpoint) {
+          throw new Error(columnMap.endpoint
+            ? 'Missing required field: endpoint'
+            : 'Missing required field: endpoint (no endpoint column found; use --map endpoint=<column>)');
+        }
+        
+        // A country that is not an ISO code leaves --default-country in use
+        const { country, unknown } = getRowCountry(endpoint, field('country'), readOptions.defaultCountry);
+        if (unknown) {
+          this.unknownCountries.count++;
+          if (this.unknownCountries.rows.length < 5) {
+            this.unknownCountries.rows.push({ row: rowNumber, country: field('country').trim() });
+          }
+          if (verbose) {
+            console.log(chalk.yellow(`  Row ${rowNumber}: country ${field('country').trim()} is not an ISO code`));
+          }
+        }
+        
+        // Validate phone number first to get normalized form
+        let validatedEndpoint;
         try {
-          // Required fields
-          if (!row.endpoint) {
-            throw new Error('Missing required field: endpoint');
+          validatedEndpoint = validatePhoneNumber(endpoint, country, readOptions.strictPhone);
+          rowData.normalized = validatedEndpoint;
+        } catch (validationError) {
+          return recordError(rowData, row, validationError.message, { endpoint });
+        }
+        
+        // Never call numbers on a do-not-call list
+        const suppressionReason = getSuppressionReason(readOptions.suppression, validatedEndpoint);
+        if (suppressionReason) {
+          this.suppressed++;
+          rowData.error = suppressionReason;
+          if (verbose) {
+            console.log(chalk.gray(`  Row ${rowNumber}: ${validatedEndpoint} (${suppressionReason})`));
           }
-          
-          // Clear any existing error_message for revalidation
-          delete row.error_message;
-          
-          // Validate phone number first to get normalized form
-          let validatedEndpoint;
-          try {
-            validatedEndpoint = validatePhoneNumber(row.endpoint);
-          } catch (validationError) {
-            // If validation fails, we still need to record the error
-            console.error(chalk.red(`✗ Error parsing row ${rowNumber}: ${JSON.stringify(row)}`));
-            console.error(chalk.red(`  Reason: ${validationError.message}`));
-            stats.addError({
-              row: rowNumber,
-              data: row,
-              error: validationError.message
-            });
-            rowData.error = validationError.message;
-            allRows.push(rowData);
-            return;
+          return rowData;
+        }
+        
+        // Check if already enrolled (using normalized number)
+        if (enrolledEndpoints.has(validatedEndpoint)) {
+          this.skipped++;
+          if (verbose) {
+            console.log(chalk.gray(`  Row ${rowNumber}: ${endpoint} → ${validatedEndpoint} (already enrolled)`));
           }
-          
-          // Check if already enrolled (using normalized number)
-          if (enrolledEndpoints.has(validatedEndpoint)) {
-            skippedCount++;
-            if (verbose) {
-              console.log(chalk.gray(`  Row ${rowNumber}: ${row.endpoint} → ${validatedEndpoint} (already enrolled)`));
+          return rowData;
+        }
+        
+        // Build call request; a deadline without a zone is read in the row's timezone
+        const timezoneValue = (field('timezone') || '').trim();
+        let timezone = timezoneValue ? normalizeTimezone(timezoneValue) : null;
+        if (!timezone && readOptions.inferTimezone) {
+          const inference = inferTimezone(validatedEndpoint);
+          if (inference) {
+            timezone = inference.timezone;
+            this.inferred++;
+            if (inference.ambiguous) {
+              this.ambiguous.count++;
+              if (this.ambiguous.rows.length < 5) {
+                this.ambiguous.rows.push({ row: rowNumber, endpoint: validatedEndpoint, ...inference });
+              }
+              if (verbose) {
+                console.log(chalk.yellow(`  Row ${rowNumber}: ${validatedEndpoint} timezone guessed as ${inference.timezone} (${inference.country} has ${inference.candidates.length} zones)`));
+              }
             }
-            allRows.push(rowData);
-            return;
           }
-          
-          // Build call request
-          const callRequest = {
-            endpoint: validatedEndpoint,
-            priority: parseInt(row.priority) || 1,  // Default priority is 1
-            callDeadLine: parseDeadline(row.deadline),
-            timezone: row.timezone ? row.timezone.trim() : getSystemTimezone()
-          };
-          
-          // Build additionalData from remaining fields
-          const additionalData = {};
-          const knownFields = ['endpoint', 'priority', 'deadline', 'timezone', 'error_message'];
-          
-          for (const [key, value] of Object.entries(row)) {
-            if (!knownFields.includes(key) && value) {
-              additionalData[key] = value;
-            }
+        }
+        timezone = timezone || getSystemTimezone();
+        const callRequest = {
+          endpoint: validatedEndpoint,
+          priority: parseInt(field('priority')) || 1,  // Default priority is 1
+          callDeadLine: parseDeadline(field('deadline'), { timezone, defaultDeadline: readOptions.defaultDeadline }),
+          timezone
+        };
+        
+        // A call whose deadline passes before the agent starts working can never be placed
+        const agentWindow = readOptions.agentWindow;
+        if (agentWindow && new Date(callRequest.callDeadLine) < agentWindow.start) {
+          throw new Error(`Deadline ${callRequest.callDeadLine} is before the agent's next schedule window (${formatWindowStart(agentWindow.start, agentWindow.timezone)})`);
+        }
+        
+        // Build additionalData from remaining fields
+        let additionalData = {};
+        
+        for (const [key, value] of Object.entries(row)) {
+          if (knownColumns.includes(key)) continue;
+          // JSON rows may carry their extra fields as a nested object
+          if (key === 'additionalData' && isPlainObject(value)) {
+            Object.assign(additionalData, value);
+            continue;
           }
-          
-          if (Object.keys(additionalData).length > 0) {
-            callRequest.additionalData = additionalData;
+          if ((value !== '' && value !== null && value !== undefined) || readOptions.schema) {
+            additionalData[key] = value;
           }
-          
-          calls.push(callRequest);
-          allRows.push(rowData);
-          
-          if (verbose) {
-            console.log(chalk.gray(`  Row ${rowNumber}: ${callRequest.endpoint}`));
+        }
+        
+        // Coerce and check declared fields; failing rows are rejected like validation errors
+        if (readOptions.schema) {
+          const result = applySchema(readOptions.schema, additionalData);
+          if (result.errors.length > 0) {
+            const message = result.errors.map(error => error.message).join('; ');
+            return recordError(rowData, row, message, { endpoint, schemaErrors: result.errors });
           }
+          additionalData = result.data;
+        }
+        
+        if (readOptions.campaignTag) {
+          additionalData[CAMPAIGN_TAG_FIELD] = readOptions.campaignTag;
+        }
+        
+        if (Object.keys(additionalData).length > 0) {
+          callRequest.additionalData = additionalData;
+        }
+        
+        rowData.call = callRequest;
+        
+        if (verbose) {
+          console.log(chalk.gray(`  Row ${rowNumber}: ${callRequest.endpoint}`));
+        }
+      } catch (error) {
+        recordError(rowData, row, error.message);
+      }
+      return rowData;
+    }
+  };
+}
+
+/**
+ * Report timezones inferred from phone numbers, listing the guesses that had
+ * several candidate zones
+ */
+function printTimezoneInference(validator) {
+  if (validator.inferred === 0) return;
+  console.log(chalk.blue(`ℹ️  Inferred timezone for ${validator.inferred} rows from their phone numbers`));
+  const { count, rows } = validator.ambiguous;
+  if (count === 0) return;
+  console.log(chalk.yellow(`⚠️  ${count} rows are in countries with several timezones; the main zone was used:`));
+  rows.forEach(({ row, endpoint, timezone, country, candidates }) => {
+    console.log(chalk.yellow(`   Row ${row}: ${endpoint} → ${timezone} (${country}, ${candidates.length} zones)`));
+  });
+  if (count > rows.length) {
+    console.log(chalk.yellow(`   ... and ${count - rows.length} more`));
+  }
+  console.log(chalk.gray('   Set the timezone column on these rows to choose the zone.'));
+}
+
+/**
+ * Report national numbers whose country column was not an ISO code
+ */
+function printUnknownCountries(validator) {
+  const { count, rows } = validator.unknownCountries;
+  if (count === 0) return;
+  console.log(chalk.yellow(`⚠️  ${count} rows have a country that is not an ISO code; --default-country was used for them:`));
+  rows.forEach(({ row, country }) => {
+    console.log(chalk.yellow(`   Row ${row}: ${country}`));
+  });
+  if (count > rows.length) {
+    console.log(chalk.yellow(`   ... and ${count - rows.length} more`));
+  }
+  console.log(chalk.gray('   Use ISO 3166 codes such as US or GB in the country column.'));
+}
+
+/**
+ * Read the input file and parse calls
+ * readOptions.fileType selects CSV (default), JSON, NDJSON or XLSX input; all
+ * formats go through the same validation.
+ */
+async function readCallsFromCSV(filePath, stats, enrolledEndpoints, verbose, readOptions = {}) {
+  const csvFormat = readOptions.format || {};
+  const fileType = readOptions.fileType || 'csv';
+  const label = fileType.toUpperCase();
+  const spinner = ora(`Reading ${label} file...`).start();
+  const validator = createRowValidator(stats, enrolledEndpoints, verbose, readOptions);
+  
+  return new Promise((resolve, reject) => {
+    const calls = [];
+    const allRows = [];
+    let headers = [];
+    let rowNumber = 0;
+    let failed = false;
+    
+    const parser = createRowStream(filePath, fileType, csvFormat);
+    parser
+      .on('headers', (parsedHeaders) => {
+        headers = parsedHeaders;
+        try {
+          validator.setHeaders(parsedHeaders);
         } catch (error) {
-          console.error(chalk.red(`✗ Error parsing row ${rowNumber}: ${JSON.stringify(row)}`));
-          console.error(chalk.red(`  Reason: ${error.message}`));
-          stats.addError({
-            row: rowNumber,
-            data: row,
-            error: error.message
-          });
-          rowData.error = error.message;
-          allRows.push(rowData);
+          failed = true;
+          spinner.fail(chalk.red(`Failed to read ${label} file`));
+          parser.destroy();
+          reject(error);
+        }
+      })
+      .on('data', (row) => {
+        if (failed) return;
+        rowNumber++;
+        const rowData = validator.validate(row, rowNumber);
+        if (rowData.call) {
+          calls.push(rowData.call);
         }
+        allRows.push(rowData);
       })
       .on('end', () => {
-        spinner.succeed(chalk.green(`✓ Parsed ${calls.length} valid calls from CSV (${skippedCount} already enrolled)`));
+        // Drop repeated endpoints within the file according to the duplicate policy
+        const duplicates = findDuplicateRows(allRows.filter(row => row.call), readOptions.duplicates);
+        const droppedCalls = new Set();
+        duplicates.forEach((duplicateOf, rowData) => {
+          rowData.error = `duplicate of row ${duplicateOf}`;
+          droppedCalls.add(rowData.call);
+          delete rowData.call;
+          if (verbose) {
+            console.log(chalk.gray(`  Row ${rowData.row}: ${rowData.normalized} (duplicate of row ${duplicateOf})`));
+          }
+        });
+        const uniqueCalls = droppedCalls.size > 0 ? calls.filter(call => !droppedCalls.has(call)) : calls;
+        
+        const duplicateNote = duplicates.size > 0 ? `, ${duplicates.size} duplicates` : '';
+        const suppressedNote = validator.suppressed > 0 ? `, ${validator.suppressed} suppressed` : '';
+        spinner.succeed(chalk.green(`✓ Parsed ${uniqueCalls.length} valid calls from ${label} (${validator.skipped} already enrolled${duplicateNote}${suppressedNote})`));
+        printTimezoneInference(validator);
+        printUnknownCountries(validator);
         stats.total = rowNumber;
-        stats.addSkippedCount(skippedCount);
-        resolve({ calls, allRows });
+        stats.addSkippedCount(validator.skipped);
+        stats.addSuppressedCount(validator.suppressed);
+        stats.addDuplicateCount(duplicates.size);
+        resolve({ calls: uniqueCalls, allRows, headers, columnMap: validator.columnMap });
       })
       .on('error', (error) => {
-        spinner.fail(chalk.red('Failed to read CSV file'));
+        spinner.fail(chalk.red(`Failed to read ${label} file`));
         reject(error);
       });
   });
 }
 
+// A bulk request that has not answered by then is given up on (and not retried)
+const BULK_REQUEST_TIMEOUT_MS = 60000;
+
 /**
- * Send batch of calls to BlackBox API
+ * Send batch of calls to BlackBox API.
+ * Creating calls is not idempotent, so a batch is only retried when the server
+ * cannot have created it (429/503 or no connection); see isNotAppliedError.
  */
-async function sendBatchCalls(batch, batchNumber, apiUrl, apiKey, agentId, stats, verbose) {
+async function sendBatchCalls(batch, batchNumber, apiUrl, apiKey, agentId, stats, verbose, retryOptions = {}) {
   try {
     if (verbose) {
       console.log(chalk.gray(`  Sending batch ${batchNumber} (${batch.length} calls)...`));
     }
     
-    const response = await axios.post(
+    const response = await withRetry(() => axios.post(
       `${apiUrl}/api/v1/calls/bulk?agentId=${agentId}`,
       batch,
       {
         headers: {
           'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
+        },
+        timeout: BULK_REQUEST_TIMEOUT_MS
+      }
+    ), {
+      retries: retryOptions.retries,
+      baseDelayMs: retryOptions.baseDelayMs,
+      shouldRetry: isNotAppliedError,
+      onRetry: ({ attempt, delayMs, error }) => {
+        if (verbose) {
+          const reason = error?.response?.status || error?.code || error?.message || 'unknown error';
+          console.log(chalk.yellow(`    Batch ${batchNumber} failed (${reason}), retry ${attempt} in ${delayMs}ms...`));
         }
       }
-    );
+    });
     
-    stats.addCreatedCalls(response.data);
+    stats.addCreatedCalls(response.data, batchNumber, batch);
     
     if (verbose && response.data.length > 0) {
       console.log(chalk.gray(`    Sample call ID: ${response.data[0].callId}`));
@@ -384,22 +852,59 @@ async function sendBatchCalls(batch, batchNumber, apiUrl, apiKey, agentId, stats
   } catch (error) {
     const status = error?.response?.status;
     
+    const attempts = (error && error.attempts) || 1;
+    
     stats.addError({
       batch: batchNumber,
       status: status,
+      attempts,
       error: (error && error.response && error.response.data) || (error && error.message) || 'Unknown error'
     });
     
-    stats.addFailedCount(batch.length);
+    const cause = status ? `HTTP ${status}` : (error?.code || error?.message || 'Unknown error');
+    const reason = attempts > 1 ? `API error: ${cause} after ${attempts} attempts` : `API error: ${cause}`;
+    stats.addFailedCalls(batch, reason);
     throw error;
   }
 }
 
+/**
+ * Check org concurrency and decide how long to wait before the next batch.
+ * Keeps re-checking while the level is critical. Returns the next delay.
+ */
+async function applyAdaptiveThrottle(currentDelay, options, onStateChange) {
+  const { apiUrl, apiKey, delay } = options;
+  for (;;) {
+    let level = null;
+    try {
+      const { active, concurrency } = await fetchConcurrency(apiUrl, apiKey);
+      level = getConcurrencyLevel(active, concurrency);
+    } catch (_) {
+      // Keep current pacing when concurrency is unavailable
+    }
+    const decision = getThrottleDecision(level, currentDelay, delay);
+    onStateChange(decision);
+    if (decision.state !== 'paused') {
+      return decision.delay;
+    }
+    await new Promise(resolve => setTimeout(resolve, decision.delay));
+  }
+}
+
+function formatThrottleState(decision) {
+  if (decision.state === 'paused') return chalk.red('paused (critical)');
+  if (decision.state === 'slowed') return chalk.yellow(`slowed (${decision.delay}ms)`);
+  if (decision.state === 'recovering') return chalk.cyan(`recovering (${decision.delay}ms)`);
+  if (decision.state === 'unknown') return chalk.gray(`unknown (${decision.delay}ms)`);
+  return chalk.green(`normal (${decision.delay}ms)`);
+}
+
 /**
  * Process calls in batches with rate limiting
  */
 async function processBatches(calls, options, stats) {
-  const { apiUrl, apiKey, agentId, batchSize, delay, verbose } = options;
+  const { apiUrl, apiKey, agentId, batchSize, delay, verbose, journalFile, retryOptions, adaptive, campaignRef } = options;
+  const parallel = Math.max(1, options.parallel || 1);
   const batches = [];
   let scheduledForFuture = false;
   let earliestScheduleTime = null;
@@ -409,23 +914,31 @@ async function processBatches(calls, options, stats) {
     batches.push(calls.slice(i, i + batchSize));
   }
   
-  console.log(chalk.blue(`\n🔄 Processing ${calls.length} calls in ${batches.length} batches...`));
+  console.log(chalk.blue(`\n🔄 Processing ${calls.length} calls in ${batches.length} batches${parallel > 1 ? ` (${parallel} in flight)` : ''}...`));
   
   // Create progress bar
   const progressBar = new cliProgress.SingleBar({
-    format: 'Progress |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} calls | Batch {batch}/{totalBatches}',
+    format: 'Progress |' + chalk.cyan('{bar}') + '| {percentage}% | {value}/{total} calls | Batch {batch}/{totalBatches}' +
+      (adaptive ? ' | Throttle: {throttle}' : ''),
     barCompleteChar: '\u2588',
     barIncompleteChar: '\u2591',
     hideCursor: true
   }, cliProgress.Presets.shades_classic);
   
+  let currentDelay = delay;
+  let throttleState = 'normal';
+  let nextBatch = 0;
+  let finishedBatches = 0;
+  let aborted = false;
+  
   progressBar.start(calls.length, 0, {
     batch: 0,
-    totalBatches: batches.length
+    totalBatches: batches.length,
+    throttle: formatThrottleState({ state: throttleState, delay: currentDelay })
   });
   
-  // Process each batch with rate limiting
-  for (let i = 0; i < batches.length; i++) {
+  // Send a single batch; returns true when it succeeded
+  const runBatch = async (i) => {
     try {
       const createdCalls = await sendBatchCalls(
         batches[i], 
@@ -434,93 +947,375 @@ async function processBatches(calls, options, stats) {
         apiKey, 
         agentId, 
         stats,
-        verbose
+        verbose,
+        retryOptions
       );
       
+      journalCreatedCalls(journalFile, i + 1, agentId, campaignRef, createdCalls);
+      
       // Check if calls are scheduled for future
-      if (createdCalls.length > 0 && createdCalls[0].nextScheduleTime) {
-        const scheduleTime = new Date(createdCalls[0].nextScheduleTime);
-        const now = new Date();
-        const hoursDiff = (scheduleTime - now) / (1000 * 60 * 60);
-        
-        if (hoursDiff > 1) {
-          scheduledForFuture = true;
-          if (!earliestScheduleTime || scheduleTime < earliestScheduleTime) {
-            earliestScheduleTime = scheduleTime;
-          }
+      const scheduleTime = getFutureScheduleTime(createdCalls);
+      if (scheduleTime) {
+        scheduledForFuture = true;
+        if (!earliestScheduleTime || scheduleTime < earliestScheduleTime) {
+          earliestScheduleTime = scheduleTime;
         }
       }
       
+      finishedBatches++;
       progressBar.update(stats.successful + stats.failed, {
-        batch: i + 1,
+        batch: finishedBatches,
         totalBatches: batches.length
       });
-      
-      // Rate limiting delay (except for last batch)
-      if (i < batches.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+      return true;
     } catch (error) {
+      finishedBatches++;
       progressBar.update(stats.successful + stats.failed, {
-        batch: i + 1,
+        batch: finishedBatches,
         totalBatches: batches.length
       });
       
-      const status = error?.response?.status;
-      if (status === 401 || status === 403 || status === 404) {
+      if (isFatalBatchError(error)) {
+        // Report only the first fatal error when several batches are in flight
+        if (aborted) return false;
+        aborted = true;
         // Stop progress bar before printing fatal messages to avoid interleaving
         progressBar.stop();
-        const fatalMsg = getFatalStatusMessage(status, agentId);
-        if (fatalMsg) {
-          console.error(chalk.red(`✗ ${fatalMsg}`));
-        }
-        if (verbose) {
-          if (error && error.response) {
-            console.error(chalk.red(`    Status: ${error.response.status}`));
-            try {
-              console.error(chalk.red(`    Error: ${JSON.stringify(error.response.data)}`));
-            } catch (_) {
-              console.error(chalk.red('    Error: (unserializable response)'));
-            }
-          } else if (error && error.request) {
-            console.error(chalk.red('    Error: No response from server'));
-          } else {
-            console.error(chalk.red(`    Error: ${error?.message || 'Unknown error'}`));
-          }
-        }
-        console.error(chalk.red('Aborting further batches due to a fatal error.'));
-        break;
+        printFatalBatchError(error, agentId, verbose);
       } else {
         if (verbose) {
           console.error(chalk.yellow(`\n⚠️  Continuing with next batch despite error...`));
         }
       }
+      return false;
     }
-  }
+  };
+  
+  // Each worker keeps one request in flight and pulls the next batch in CSV order
+  const worker = async () => {
+    while (!aborted && nextBatch < batches.length) {
+      const i = nextBatch++;
+      const succeeded = await runBatch(i);
+      
+      // Rate limiting delay (except after the last batch)
+      if (succeeded && !aborted && nextBatch < batches.length) {
+        if (adaptive) {
+          currentDelay = await applyAdaptiveThrottle(currentDelay, options, (decision) => {
+            if (verbose && decision.state !== throttleState) {
+              console.log(chalk.gray(`\n  Throttle: ${throttleState} → ${decision.state} (${decision.delay}ms)`));
+            }
+            throttleState = decision.state;
+            progressBar.update(stats.successful + stats.failed, {
+              throttle: formatThrottleState(decision)
+            });
+          });
+        }
+        await new Promise(resolve => setTimeout(resolve, currentDelay));
+      }
+    }
+  };
+  
+  const workerCount = Math.min(parallel, batches.length);
+  await Promise.all(Array.from({ length: workerCount }, () => worker()));
   
   progressBar.stop();
   
   // Show warning if calls are scheduled for future
   if (scheduledForFuture && earliestScheduleTime) {
-    console.log('\n' + chalk.bgBlue.white(' ℹ️  SCHEDULED FOR FUTURE '));
-    console.log(chalk.blue(`Calls scheduled for: ${earliestScheduleTime.toLocaleString()} due to agent working hours`));
-    console.log(chalk.gray('Calls will be automatically placed when the agent is available'));
+    printFutureScheduleNotice(earliestScheduleTime);
+  }
+}
+
+/**
+ * Record created calls immediately so an interrupted run can be resumed
+ */
+function journalCreatedCalls(journalFile, batchNumber, agentId, campaignRef, createdCalls) {
+  if (!journalFile || createdCalls.length === 0) return;
+  appendJournalEntry(journalFile, {
+    batch: batchNumber,
+    agentId,
+    campaign: campaignRef || null,
+    recordedAt: new Date().toISOString(),
+    calls: createdCalls.map(call => ({
+      callId: call.callId,
+      endpoint: call.endpoint,
+      additionalData: call.additionalData
+    }))
+  });
+}
+
+/**
+ * Schedule time of a batch when the agent will not place it within the hour, else null
+ */
+function getFutureScheduleTime(createdCalls) {
+  if (createdCalls.length === 0 || !createdCalls[0].nextScheduleTime) return null;
+  const scheduleTime = new Date(createdCalls[0].nextScheduleTime);
+  const hoursDiff = (scheduleTime - new Date()) / (1000 * 60 * 60);
+  return hoursDiff > 1 ? scheduleTime : null;
+}
+
+function printFutureScheduleNotice(earliestScheduleTime) {
+  console.log('\n' + chalk.bgBlue.white(' ℹ️  SCHEDULED FOR FUTURE '));
+  console.log(chalk.blue(`Calls scheduled for: ${earliestScheduleTime.toLocaleString()} due to agent working hours`));
+  console.log(chalk.gray('Calls will be automatically placed when the agent is available'));
+}
+
+// Errors that will fail every remaining batch the same way
+function isFatalBatchError(error) {
+  const status = error?.response?.status;
+  return status === 401 || status === 403 || status === 404;
+}
+
+function printFatalBatchError(error, agentId, verbose) {
+  const fatalMsg = getFatalStatusMessage(error.response.status, agentId);
+  if (fatalMsg) {
+    console.error(chalk.red(`✗ ${fatalMsg}`));
   }
+  if (verbose) {
+    if (error && error.response) {
+      console.error(chalk.red(`    Status: ${error.response.status}`));
+      try {
+        console.error(chalk.red(`    Error: ${JSON.stringify(error.response.data)}`));
+      } catch (_) {
+        console.error(chalk.red('    Error: (unserializable response)'));
+      }
+    } else if (error && error.request) {
+      console.error(chalk.red('    Error: No response from server'));
+    } else {
+      console.error(chalk.red(`    Error: ${error?.message || 'Unknown error'}`));
+    }
+  }
+  console.error(chalk.red('Aborting further batches due to a fatal error.'));
+}
+
+/**
+ * Streaming run (--stream): rows are validated as they are read and each batch
+ * is sent as soon as it fills, so the first calls go out right away and memory
+ * only grows by the distinct numbers seen and the created callIds (stats keep
+ * counts, not rows; see Stats). Processed rows and reports are appended once
+ * their batch is done. Later copies of a number are dropped (duplicate policy
+ * "first"). Returns { headers, columnMap, reportCounts }.
+ */
+async function streamBatchCalls(inputFile, enrolledEndpoints, options, stats) {
+  const { fileType, csvFormat, readOptions, outputFile, reportFiles, dryRun } = options;
+  const { apiUrl, apiKey, agentId, batchSize, delay, verbose, journalFile, retryOptions, adaptive, campaignRef } = options;
+  const validator = createRowValidator(stats, enrolledEndpoints, verbose, readOptions);
+  const reportCounts = { rejected: 0, enrolled: 0 };
+  const seen = new Map();
+  const pending = [];
+  let batch = [];
+  let headers = [];
+  let dataHeaders = [];
+  let writers = null;
+  let rowNumber = 0;
+  let batchNumber = 0;
+  let duplicates = 0;
+  let lastSentAt = 0;
+  let currentDelay = delay;
+  let aborted = false;
+  let earliestScheduleTime = null;
+  
+  // Progress by bytes for files; stdin has no known size, so count rows
+  const totalBytes = isStdin(inputFile) ? 0 : fs.statSync(inputFile).size;
+  let bytesRead = 0;
+  const progressBar = totalBytes > 0
+    ? new cliProgress.SingleBar({
+      format: 'Progress |' + chalk.cyan('{bar}') + '| {percentage}% | {rows} rows | {sent} enrolled | {failed} failed',
+      barCompleteChar: '\u2588',
+      barIncompleteChar: '\u2591',
+      hideCursor: true
+    }, cliProgress.Presets.shades_classic)
+    : null;
+  const spinner = progressBar ? null : ora('Streaming rows...').start();
+  const showProgress = () => {
+    const values = { rows: rowNumber, sent: stats.successful, failed: stats.failed };
+    if (progressBar) {
+      progressBar.update(Math.min(bytesRead, totalBytes), values);
+    } else {
+      spinner.text = `Streaming: ${values.rows} rows, ${values.sent} enrolled, ${values.failed} failed`;
+    }
+  };
+  
+  console.log(chalk.blue(`\n🔄 Streaming ${isStdin(inputFile) ? 'stdin' : inputFile} in batches of ${batchSize}${dryRun ? ' (dry run)' : ''}...`));
+  if (progressBar) {
+    progressBar.start(totalBytes, 0, { rows: 0, sent: 0, failed: 0 });
+  }
+  
+  const openWriters = () => {
+    dataHeaders = headers.filter(header => !GENERATED_COLUMNS.includes(header));
+    writers = {
+      processed: outputFile ? createRecordWriter(outputFile, fileType, getProcessedHeaders(headers), csvFormat) : null,
+      rejected: createRecordWriter(reportFiles.rejected, fileType, ['row', ...dataHeaders, 'reason'], csvFormat),
+      enrolled: dryRun ? null : createRecordWriter(reportFiles.enrolled, fileType, ENROLLED_REPORT_HEADERS, csvFormat)
+    };
+  };
+  
+  // Write rows whose outcome is known and forget them
+  const writeRows = () => {
+    if (!writers) openWriters();
+    pending.forEach(row => {
+      if (writers.processed) {
+        writers.processed.write(toProcessedRecord(row));
+      }
+      if (row.error) {
+        writers.rejected.write(toRejectedRecord(row, dataHeaders));
+        reportCounts.rejected++;
+      }
+      const created = row.call && stats.createdByRequest.get(row.call);
+      if (created) {
+        writers.enrolled.write(toEnrolledRecord(row, created));
+        reportCounts.enrolled++;
+        stats.createdByRequest.delete(row.call);
+      }
+    });
+    pending.length = 0;
+  };
+  
+  const sendBatch = async () => {
+    const calls = batch;
+    batch = [];
+    if (calls.length === 0 || dryRun) return;
+    batchNumber++;
+    
+    // Rate limiting delay since the previous successful batch
+    if (lastSentAt) {
+      if (adaptive) {
+        currentDelay = await applyAdaptiveThrottle(currentDelay, options, (decision) => {
+          if (verbose && decision.state !== 'normal') {
+            console.log(chalk.gray(`\n  Throttle: ${decision.state} (${decision.delay}ms)`));
+          }
+        });
+      }
+      const wait = lastSentAt + currentDelay - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+    
+    try {
+      const createdCalls = await sendBatchCalls(calls, batchNumber, apiUrl, apiKey, agentId, stats, verbose, retryOptions);
+      journalCreatedCalls(journalFile, batchNumber, agentId, campaignRef, createdCalls);
+      const scheduleTime = getFutureScheduleTime(createdCalls);
+      if (scheduleTime && (!earliestScheduleTime || scheduleTime < earliestScheduleTime)) {
+        earliestScheduleTime = scheduleTime;
+      }
+      lastSentAt = Date.now();
+    } catch (error) {
+      // Tag the batch's rows so a re-run picks them up
+      const failed = new Set(calls);
+      pending.forEach(row => {
+        if (failed.has(row.call)) {
+          row.error = stats.lastFailureReason;
+        }
+      });
+      lastSentAt = 0;
+      if (isFatalBatchError(error)) {
+        aborted = true;
+        if (progressBar) progressBar.stop();
+        if (spinner) spinner.stop();
+        printFatalBatchError(error, agentId, verbose);
+      } else if (verbose) {
+        console.error(chalk.yellow(`\n⚠️  Continuing with next batch despite error...`));
+      }
+    }
+  };
+  
+  const parser = createRowStream(inputFile, fileType, csvFormat, (bytes) => {
+    bytesRead += bytes;
+  });
+  parser.on('headers', (parsedHeaders) => {
+    headers = parsedHeaders;
+    try {
+      validator.setHeaders(parsedHeaders);
+    } catch (error) {
+      parser.destroy(error);
+    }
+  });
+  
+  try {
+    for await (const row of parser) {
+      rowNumber++;
+      const rowData = validator.validate(row, rowNumber);
+      if (rowData.call) {
+        const firstRow = seen.get(rowData.normalized);
+        if (firstRow) {
+          rowData.error = `duplicate of row ${firstRow}`;
+          delete rowData.call;
+          duplicates++;
+        } else {
+          seen.set(rowData.normalized, rowNumber);
+          batch.push(rowData.call);
+        }
+      }
+      pending.push(rowData);
+      
+      if (batch.length >= batchSize) {
+        await sendBatch();
+        writeRows();
+        if (aborted) break;
+      } else if (batch.length === 0) {
+        writeRows();
+      }
+      showProgress();
+    }
+    if (!aborted) {
+      await sendBatch();
+      writeRows();
+    }
+  } catch (error) {
+    if (progressBar) progressBar.stop();
+    if (spinner) spinner.fail(chalk.red('Failed to read input'));
+    throw error;
+  } finally {
+    if (writers) {
+      Object.values(writers).filter(Boolean).forEach(writer => writer.close());
+    }
+  }
+  
+  if (!aborted) {
+    showProgress();
+    if (progressBar) progressBar.stop();
+    const duplicateNote = duplicates > 0 ? `, ${duplicates} duplicates` : '';
+    const suppressedNote = validator.suppressed > 0 ? `, ${validator.suppressed} suppressed` : '';
+    const message = `✓ Streamed ${rowNumber} rows (${validator.skipped} already enrolled${duplicateNote}${suppressedNote})`;
+    if (spinner) {
+      spinner.succeed(chalk.green(message));
+    } else {
+      console.log(chalk.green(message));
+    }
+    printTimezoneInference(validator);
+    printUnknownCountries(validator);
+  }
+  stats.total = rowNumber;
+  stats.addSkippedCount(validator.skipped);
+  stats.addSuppressedCount(validator.suppressed);
+  stats.addDuplicateCount(duplicates);
+  
+  if (earliestScheduleTime) {
+    printFutureScheduleNotice(earliestScheduleTime);
+  }
+  return { headers, columnMap: validator.columnMap, reportCounts };
 }
 
 /**
  * Print summary report
  */
-function printSummary(stats) {
+function printSummary(stats, files = {}) {
   console.log(chalk.blue('\n📊 Summary'));
   console.log(chalk.blue('=========='));
-  console.log(`Total rows in CSV: ${stats.total}`);
+  console.log(`Total rows: ${stats.total}`);
   if (stats.skipped > 0) {
     console.log(chalk.gray(`○ Already enrolled: ${stats.skipped}`));
   }
   console.log(chalk.green(`✓ Successfully enrolled: ${stats.successful}`));
   const validationErrors = (stats.errors || []).filter(e => typeof e.row === 'number' && e.data);
-  console.log(chalk.red(`✗ Failed validation: ${validationErrors.length}`));
+  console.log(chalk.red(`✗ Failed validation: ${stats.rowErrorCount}`));
+  if (stats.duplicates > 0) {
+    console.log(chalk.yellow(`⚠️  Duplicates dropped: ${stats.duplicates}`));
+  }
+  if (stats.suppressed > 0) {
+    console.log(chalk.yellow(`⛔ Suppressed (do-not-call): ${stats.suppressed}`));
+  }
   console.log(chalk.red(`✗ Failed API calls: ${stats.failed}`));
   
   if (stats.createdCalls.length > 0) {
@@ -532,18 +1327,35 @@ function printSummary(stats) {
     });
   }
   
-  if (validationErrors.length > 0) {
-    console.log(chalk.red(`\n⚠️  Validation Errors (${validationErrors.length}):`));
+  // Campaigns are keyed on the input path: re-running the processed copy
+  // would start a new campaign and dial the enrolled numbers again
+  const rerun = !files.input
+    ? 're-run with the same --campaign'
+    : files.processed && files.processed !== files.input
+      ? `re-run ${files.input} (not the processed copy, or use --in-place)`
+      : `re-run ${files.input}`;
+  
+  if (stats.rowErrorCount > 0) {
+    console.log(chalk.red(`\n⚠️  Validation Errors (${stats.rowErrorCount}):`));
     validationErrors.slice(0, 5).forEach((err, index) => {
-      const endpoint = (err && err.data && err.data.endpoint) ? err.data.endpoint : '';
+      const endpoint = err.endpoint || (err.data && err.data.endpoint) || '';
       const rowStr = typeof err.row === 'number' ? `Row ${err.row}: ` : '';
       console.log(chalk.red(`${index + 1}. ${rowStr}${endpoint} - ${err.error}`));
     });
-    if (validationErrors.length > 5) {
-      console.log(chalk.red(`... and ${validationErrors.length - 5} more errors`));
+    if (stats.rowErrorCount > 5) {
+      console.log(chalk.red(`... and ${stats.rowErrorCount - 5} more errors`));
     }
-    console.log(chalk.yellow(`\n📝 Error messages have been added to the CSV file`));
-    console.log(chalk.gray('   Fix the entries and re-run to process them.'));
+    console.log(chalk.yellow(`\n📝 Error messages have been added to ${files.processed || 'the processed CSV file'}`));
+    console.log(chalk.gray(`   Fix the entries in the original input and ${rerun} to process them.`));
+  }
+  if (stats.failed > 0) {
+    console.log(chalk.yellow(`\n📝 ${stats.failed} rows from failed batches were tagged in ${files.processed || 'the processed CSV file'}`));
+    console.log(chalk.gray(`   To retry them, ${rerun}; enrolled rows are skipped automatically.`));
+  }
+  if (files.reports && files.reportCounts) {
+    console.log(chalk.blue('\n📄 Reports:'));
+    console.log(chalk.gray(`   Rejected rows (${files.reportCounts.rejected}): ${files.reports.rejected}`));
+    console.log(chalk.gray(`   Enrolled rows (${files.reportCounts.enrolled}): ${files.reports.enrolled}`));
   }
   // Highlight primary API failure reason when consistent
   const primary = computePrimaryApiFailure(stats.errors);
@@ -555,11 +1367,52 @@ function printSummary(stats) {
   }
 }
 
+/**
+ * Report schema violations by field, used by --dry-run
+ */
+function printSchemaViolations(stats) {
+  if (stats.schemaErrorCount === 0) {
+    console.log(chalk.green('✓ No schema violations'));
+    return;
+  }
+  const rows = stats.errors.filter(error => Array.isArray(error.schemaErrors));
+  console.log(chalk.red(`\n⚠️  Schema violations in ${stats.schemaErrorCount} rows:`));
+  stats.schemaErrorFields.forEach((count, field) => {
+    console.log(chalk.red(`   ${field}: ${count}`));
+  });
+  rows.slice(0, 5).forEach(error => {
+    console.log(chalk.gray(`   Row ${error.row}: ${error.error}`));
+  });
+  if (stats.schemaErrorCount > 5) {
+    console.log(chalk.gray(`   ... and ${stats.schemaErrorCount - 5} more rows`));
+  }
+}
+
+/**
+ * Start of the agent's next working window as { start, timezone }, or null
+ * when the agent has no schedule or it could not be fetched
+ */
+async function fetchAgentWindow(apiUrl, apiKey, agentId) {
+  try {
+    const schedule = await fetchAgentSchedule(apiUrl, apiKey, agentId);
+    const start = getNextWindowStart(schedule);
+    if (!start) return null;
+    const timezone = schedule.timezone || 'UTC';
+    if (start > new Date()) {
+      console.log(chalk.yellow(`Agent schedule: outside working hours, next window ${formatWindowStart(start, timezone)}`));
+    }
+    return { start, timezone };
+  } catch (e) {
+    console.log(chalk.gray('Agent schedule: unavailable, deadlines are not checked against it.'));
+    return null;
+  }
+}
+
 /**
  * Main batch call command
  */
 async function batchCallCommand(csvFile, agentId, options) {
-  const stats = new Stats();
+  const stats = new Stats({ keepRows: !options.stream });
   
   // Validate API key
   const apiKey = options.apiKey || process.env.BLACKBOX_API_KEY;
@@ -568,24 +1421,149 @@ async function batchCallCommand(csvFile, agentId, options) {
     process.exit(1);
   }
   
-  // Validate file exists
-  if (!fs.existsSync(csvFile)) {
-    console.error(chalk.red(`✗ Error: CSV file not found: ${csvFile}`));
+  // Validate file exists; "-" reads the call list from stdin
+  const fromStdin = isStdin(csvFile);
+  if (fromStdin) {
+    const stdinError = !options.campaign || options.campaign === NEW_CAMPAIGN
+      ? 'Reading from stdin requires --campaign <name> to identify the campaign'
+      : options.inPlace
+        ? '--in-place cannot be used when reading from stdin'
+        : options.fingerprint
+          ? '--fingerprint cannot be used when reading from stdin'
+          : process.stdin.isTTY
+            ? 'No input on stdin; pipe a call list in, e.g. export.sh | blackbox-cli batch-call - <agent-id> --campaign <name>'
+            : null;
+    if (stdinError) {
+      console.error(chalk.red(`✗ Error: ${stdinError}`));
+      process.exit(1);
+    }
+  } else if (!fs.existsSync(csvFile)) {
+    console.error(chalk.red(`✗ Error: Input file not found: ${csvFile}`));
+    process.exit(1);
+  }
+  
+  if (options.output && options.inPlace) {
+    console.error(chalk.red('✗ Error: --output and --in-place cannot be used together'));
+    process.exit(1);
+  }
+  let defaultCountry = null;
+  try {
+    defaultCountry = normalizeCountry(options.defaultCountry);
+  } catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+  }
+  // Column mapping: --map entries override the saved mapping file
+  let columnMapping = {};
+  try {
+    columnMapping = {
+      ...(options.mapFile ? loadMappingFile(options.mapFile) : {}),
+      ...parseMapOption(options.map)
+    };
+  } catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+  }
+  if (options.defaultDeadline) {
+    try {
+      parseDeadline('', { defaultDeadline: options.defaultDeadline });
+    } catch (error) {
+      console.error(chalk.red(`✗ Error: --default-deadline: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  let schema = null;
+  if (options.schema) {
+    try {
+      schema = loadSchemaFile(options.schema);
+    } catch (error) {
+      console.error(chalk.red(`✗ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  if (!DUPLICATE_POLICIES.includes(options.duplicates)) {
+    console.error(chalk.red(`✗ Error: --duplicates must be one of: ${DUPLICATE_POLICIES.join(', ')}`));
+    process.exit(1);
+  }
+  let fileType;
+  try {
+    fileType = detectInputFormat(csvFile, options.format);
+  } catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
     process.exit(1);
   }
+  // There is no source file to annotate for stdin: the processed copy is only
+  // written with --output, and reports are named after the campaign
+  const outputFile = fromStdin && !options.output ? null : getProcessedCsvPath(csvFile, options);
+  const reportExt = FORMAT_EXTENSIONS[fileType];
+  const reportFiles = getReportPaths(fromStdin ? `${options.campaign}${reportExt}` : csvFile, options, reportExt);
+  if (options.reportDir) {
+    fs.mkdirSync(options.reportDir, { recursive: true });
+  }
+  // Detected from the first chunk of stdin while reading
+  const csvFormat = fileType === 'csv' && !fromStdin ? detectCsvFormat(csvFile) : {};
+  if (options.stream) {
+    const streamError = fileType !== 'csv' && fileType !== 'ndjson'
+      ? `--stream reads CSV and NDJSON input; ${fileType.toUpperCase()} files are loaded whole`
+      : options.inPlace
+        ? '--in-place cannot be used with --stream'
+        : options.duplicates !== 'first'
+          ? '--stream only supports --duplicates first (later copies are dropped as they are read)'
+          : null;
+    if (streamError) {
+      console.error(chalk.red(`✗ Error: ${streamError}`));
+      process.exit(1);
+    }
+  }
   
   // Parse options
   const batchSize = parseInt(options.batchSize);
   const delay = parseInt(options.delay);
+  // Streaming sends one batch at a time
+  const parallel = options.stream ? 1 : Math.max(1, parseInt(options.parallel ?? '1') || 1);
+  const retries = Math.max(0, parseInt(options.retries ?? '3') || 0);
+  const retryDelay = Math.max(0, parseInt(options.retryDelay ?? '1000') || 0);
   
   // Print configuration
   console.log(chalk.bold('🚀 BlackBox Batch Call Tool'));
   console.log(chalk.bold('==========================='));
-  console.log(`CSV File: ${chalk.cyan(csvFile)}`);
+  console.log(`CSV File: ${chalk.cyan(fromStdin ? 'stdin' : csvFile)}`);
+  if (outputFile) {
+    console.log(`Processed CSV: ${chalk.cyan(outputFile === csvFile ? `${csvFile} (in place)` : outputFile)}`);
+  }
+  console.log(`Reports: ${chalk.cyan(reportFiles.rejected)}, ${chalk.cyan(reportFiles.enrolled)}`);
+  if (fileType !== 'csv') {
+    console.log(`Input Format: ${chalk.cyan(fileType.toUpperCase())}`);
+  }
+  if (defaultCountry) {
+    console.log(`Default Country: ${chalk.cyan(defaultCountry)}`);
+  }
+  if (options.strictPhone) {
+    console.log(`Phone Validation: ${chalk.cyan('strict (numbering plan)')}`);
+  }
+  if (options.defaultDeadline) {
+    console.log(`Default Deadline: ${chalk.cyan(options.defaultDeadline)}`);
+  }
+  if (options.inferTimezone) {
+    console.log(`Timezone: ${chalk.cyan('inferred from phone numbers when not set')}`);
+  }
+  if (schema) {
+    console.log(`Schema: ${chalk.cyan(options.schema)} (${Object.keys(schema.fields).length} fields)`);
+  }
   console.log(`Agent ID: ${chalk.cyan(agentId)}`);
   console.log(`API URL: ${chalk.cyan(options.apiUrl)}`);
   console.log(`Batch Size: ${chalk.cyan(batchSize)}`);
-  console.log(`Rate Limit Delay: ${chalk.cyan(delay)}ms`);
+  console.log(`Rate Limit Delay: ${chalk.cyan(delay)}ms${options.adaptive ? chalk.gray(' (adaptive)') : ''}`);
+  if (parallel > 1) {
+    console.log(`Parallel Requests: ${chalk.cyan(parallel)}`);
+  }
+  console.log(`Retries: ${chalk.cyan(retries)} (backoff from ${retryDelay}ms)`);
+  if (options.campaign) {
+    console.log(`Campaign: ${chalk.cyan(options.campaign === NEW_CAMPAIGN ? 'new campaign' : options.campaign)}`);
+  }
+  if (options.stream) {
+    console.log(`Mode: ${chalk.cyan('streaming')}`);
+  }
   if (options.dryRun) {
     console.log(chalk.yellow('Mode: DRY RUN (no API calls will be made)'));
   }
@@ -616,27 +1594,170 @@ async function batchCallCommand(csvFile, agentId, options) {
       console.log(chalk.gray('Concurrency: unavailable.'));
     }
   }
+  // Every call gets a deadline (the deadline column, --default-deadline or
+  // +24h), so all of them are checked against the agent's working hours
+  const agentWindow = await fetchAgentWindow(options.apiUrl, apiKey, agentId);
+  
+  const campaignsDir = getCampaignsDir(options);
+  
+  // Resolve an explicitly selected campaign up front
+  let campaignRef = null;
+  if (options.campaign === NEW_CAMPAIGN) {
+    campaignRef = NEW_CAMPAIGN;
+  } else if (options.campaign) {
+    const target = findCampaign(campaignsDir, options.campaign);
+    if (!target && fromStdin) {
+      // A stdin run names its campaign; the first run creates it under that alias
+      const aliasError = validateAlias(campaignsDir, options.campaign, null);
+      if (aliasError) {
+        console.error(chalk.red(`✗ Error: Invalid campaign name: ${aliasError}`));
+        process.exit(1);
+      }
+    } else if (!target) {
+      console.error(chalk.red(`✗ Error: Campaign not found: ${options.campaign}. Run 'campaigns list' to see saved campaigns.`));
+      process.exit(1);
+    } else if (target.data.agentId && target.data.agentId !== agentId) {
+      console.error(chalk.red(`✗ Error: Campaign ${target.data.campaignId} belongs to agent ${target.data.agentId}, not ${agentId}.`));
+      process.exit(1);
+    } else {
+      campaignRef = target.data.campaignId;
+    }
+  }
   
   try {
+    // Campaign identity: agent, resolved CSV path and optional content fingerprint
+    const source = await getCampaignSource(csvFile, agentId, {
+      fingerprint: options.fingerprint,
+      fileType,
+      campaignName: options.campaign
+    });
+    const journalFile = getJournalPath(campaignsDir, source);
+    
+    // Recover calls created by an interrupted run so they are not dialed twice
+    if (fs.existsSync(journalFile)) {
+      if (!options.resume) {
+        console.error(chalk.red(`✗ Error: Found an interrupted run for ${source.csvFile}.`));
+        console.error(chalk.yellow('  Re-run with --resume to record its calls and continue with the remaining rows.'));
+        process.exit(1);
+      }
+      const recovered = recoverFromJournal(journalFile, source, campaignRef, campaignsDir);
+      console.log(chalk.blue(`ℹ️  Recovered ${recovered.count} calls from interrupted run`));
+      // Remaining rows belong to the campaign the interrupted run started
+      if (campaignRef === NEW_CAMPAIGN && recovered.campaignId) {
+        campaignRef = recovered.campaignId;
+      }
+    } else if (options.resume) {
+      console.log(chalk.gray('No interrupted run found, starting normally.'));
+    }
+    
+    // A tag only helps watch when every call in the campaign carries it
+    let campaignTag = null;
+    if (options.tagCampaign) {
+      const target = findTargetCampaign(source, campaignRef, campaignsDir);
+      if (!target) {
+        campaignTag = crypto.randomUUID();
+        source.tag = campaignTag;
+      } else if (target.data.tag) {
+        campaignTag = target.data.tag;
+      } else {
+        console.log(chalk.yellow(`⚠️  Campaign ${target.data.campaignId} already has untagged calls; --tag-campaign is ignored`));
+      }
+      if (campaignTag) {
+        console.log(chalk.blue(`ℹ️  Campaign tag: ${CAMPAIGN_TAG_FIELD}=${campaignTag}`));
+      }
+    }
+    
+    // Load do-not-call lists
+    let suppression = null;
+    if (options.suppress && options.suppress.length > 0) {
+      suppression = await loadSuppressionList(options.suppress, { defaultCountry });
+      console.log(chalk.blue(`ℹ️  Suppression list: ${suppression.numbers.size} numbers, ${suppression.prefixes.length} prefixes from ${suppression.files.length} file(s)`));
+      if (suppression.invalid.length > 0) {
+        console.log(chalk.yellow(`⚠️  ${suppression.invalid.length} suppression entries could not be read and are not applied:`));
+        suppression.invalid.slice(0, 5).forEach(({ file, line, value, error }) => {
+          console.log(chalk.yellow(`   ${file}:${line} ${value} - ${error}`));
+        });
+        if (suppression.invalid.length > 5) {
+          console.log(chalk.yellow(`   ... and ${suppression.invalid.length - 5} more`));
+        }
+      }
+    }
+    
     // Load previously enrolled endpoints
-    const enrolledEndpoints = loadPreviousCampaignEndpoints(csvFile);
+    const enrolledEndpoints = loadPreviousCampaignEndpoints(source, campaignRef, campaignsDir);
     if (enrolledEndpoints.size > 0) {
       console.log(chalk.blue(`ℹ️  Found existing campaign with ${enrolledEndpoints.size} enrolled numbers`));
     }
     
+    const readOptions = {
+      format: csvFormat,
+      fileType,
+      defaultCountry,
+      strictPhone: Boolean(options.strictPhone),
+      defaultDeadline: options.defaultDeadline,
+      inferTimezone: options.inferTimezone,
+      campaignTag,
+      agentWindow,
+      duplicates: options.duplicates,
+      suppression,
+      columnMap: columnMapping,
+      schema
+    };
+    const runFiles = { input: fromStdin ? null : csvFile, processed: outputFile || reportFiles.rejected, reports: reportFiles };
+    
+    if (options.stream) {
+      const { columnMap, reportCounts } = await streamBatchCalls(csvFile, enrolledEndpoints, {
+        fileType,
+        csvFormat,
+        readOptions,
+        outputFile,
+        reportFiles,
+        dryRun: Boolean(options.dryRun),
+        apiUrl: options.apiUrl,
+        apiKey,
+        agentId,
+        batchSize,
+        delay,
+        verbose: options.verbose,
+        journalFile,
+        retryOptions: { retries, baseDelayMs: retryDelay },
+        adaptive: Boolean(options.adaptive),
+        campaignRef
+      }, stats);
+      printColumnMap(columnMap, options.saveMap);
+      if (options.dryRun) {
+        if (schema) {
+          printSchemaViolations(stats);
+        }
+        console.log(chalk.green(`\n✓ Dry run complete. ${stats.total} rows validated.`));
+        process.exit(0);
+      }
+      finishBatchRun(stats, { source, campaignRef, campaignsDir, journalFile }, { ...runFiles, reportCounts });
+      return;
+    }
+    
     // Read and parse CSV
-    const { calls, allRows } = await readCallsFromCSV(csvFile, stats, enrolledEndpoints, options.verbose);
+    const { calls, allRows, headers, columnMap } = await readCallsFromCSV(csvFile, stats, enrolledEndpoints, options.verbose, readOptions);
+    
+    printColumnMap(columnMap, options.saveMap);
+    if (options.dryRun && schema) {
+      printSchemaViolations(stats);
+    }
     
     // Write processed CSV with error messages
-    writeProcessedCSV(csvFile, allRows);
+    const processedOptions = { headers, format: csvFormat, fileType };
+    if (outputFile) {
+      await writeProcessedCSV(outputFile, allRows, processedOptions);
+    }
+    await writeRejectedReport(reportFiles.rejected, allRows, headers, csvFormat, fileType);
     
-    if (calls.length === 0 && stats.errors.length === 0) {
+    if (calls.length === 0 && stats.errors.length === 0 && stats.duplicates === 0 && stats.suppressed === 0) {
       console.log(chalk.yellow('⚠️  No new calls to process (all numbers already enrolled)'));
       process.exit(0);
     }
     
-    if (calls.length === 0 && stats.errors.length > 0) {
-      console.log(chalk.yellow('⚠️  No valid calls found in CSV file'));
+    if (calls.length === 0) {
+      console.log(chalk.yellow('⚠️  No valid calls found in input file'));
       process.exit(0);
     }
     
@@ -659,102 +1780,33 @@ async function batchCallCommand(csvFile, agentId, options) {
       agentId,
       batchSize,
       delay,
-      verbose: options.verbose
+      verbose: options.verbose,
+      journalFile,
+      retryOptions: { retries, baseDelayMs: retryDelay },
+      adaptive: Boolean(options.adaptive),
+      parallel,
+      campaignRef
     }, stats);
     
-    // Save campaign metadata for watch command
-    if (stats.successful > 0) {
-      const campaignsDir = path.join(__dirname, '.blackbox-campaigns');
-      const csvBaseName = path.basename(csvFile);
-      
-      // Create campaigns directory if it doesn't exist
-      if (!fs.existsSync(campaignsDir)) {
-        fs.mkdirSync(campaignsDir, { recursive: true });
-      }
-      
-      // Look for existing campaign for this CSV
-      let existingCampaign = null;
-      let existingCampaignFile = null;
-      
-      const campaignFiles = fs.readdirSync(campaignsDir)
-        .filter(f => f.endsWith('.json') && f !== 'last-campaign.json');
-      
-      for (const file of campaignFiles) {
-        try {
-          const data = JSON.parse(fs.readFileSync(path.join(campaignsDir, file), 'utf8'));
-          if (data.csvFile === csvBaseName) {
-            existingCampaign = data;
-            existingCampaignFile = file;
-            break;
-          }
-        } catch (error) {
-          continue;
+    // Tag rows from batches that failed every retry so a re-run picks them up
+    if (stats.failedCalls.length > 0) {
+      const rowsByCall = new Map(allRows.filter(row => row.call).map(row => [row.call, row]));
+      stats.failedCalls.forEach(({ call, reason }) => {
+        const row = rowsByCall.get(call);
+        if (row) {
+          row.error = reason;
         }
-      }
-      
-      // Create a mapping of callId to call details for new calls
-      const newCallMapping = {};
-      stats.createdCalls.forEach(call => {
-        newCallMapping[call.callId] = {
-          endpoint: call.endpoint,
-          additionalData: call.additionalData
-        };
       });
-      
-      let campaignData;
-      let campaignId;
-      let campaignFile;
-      
-      if (existingCampaign) {
-        // Update existing campaign
-        campaignId = existingCampaign.campaignId;
-        campaignFile = path.join(campaignsDir, existingCampaignFile);
-        
-        // Merge new calls into existing campaign
-        existingCampaign.callIds.push(...stats.createdCalls.map(call => call.callId));
-        existingCampaign.callMapping = { ...existingCampaign.callMapping, ...newCallMapping };
-        existingCampaign.totalCalls = existingCampaign.callIds.length;
-        existingCampaign.successful = existingCampaign.callIds.length;
-        existingCampaign.lastUpdated = new Date().toISOString();
-        
-        campaignData = existingCampaign;
-        
-        console.log(chalk.green(`\n✓ Updated existing campaign: ${campaignId}`));
-        console.log(chalk.gray(`  Added ${stats.successful} new calls (total: ${campaignData.totalCalls})`));
-      } else {
-        // Create new campaign
-        campaignId = `campaign_${new Date().toISOString().replace(/[:.]/g, '-')}`;
-        campaignFile = path.join(campaignsDir, `${campaignId}.json`);
-        
-        campaignData = {
-          campaignId,
-          csvFile: csvBaseName,
-          agentId,
-          totalCalls: stats.successful,
-          successful: stats.successful,
-          callIds: stats.createdCalls.map(call => call.callId),
-          callMapping: newCallMapping,
-          createdAt: new Date().toISOString()
-        };
-        
-        console.log(chalk.green(`\n✓ Campaign saved: ${campaignId}`));
+      if (outputFile) {
+        await writeProcessedCSV(outputFile, allRows, processedOptions);
       }
-      
-      // Save campaign data
-      fs.writeFileSync(campaignFile, JSON.stringify(campaignData, null, 2));
-      
-      // Also save as last campaign for easy access
-      const lastCampaignFile = path.join(campaignsDir, 'last-campaign.json');
-      fs.writeFileSync(lastCampaignFile, JSON.stringify(campaignData, null, 2));
-      
-      console.log(chalk.gray(`  Monitor with: node blackbox-cli.js watch`));
     }
+    const reportCounts = {
+      rejected: await writeRejectedReport(reportFiles.rejected, allRows, headers, csvFormat, fileType),
+      enrolled: await writeEnrolledReport(reportFiles.enrolled, allRows, stats, csvFormat, fileType)
+    };
     
-    // Print summary
-    printSummary(stats);
-    
-    // Exit with appropriate code
-    process.exit(stats.failed > 0 ? 1 : 0);
+    finishBatchRun(stats, { source, campaignRef, campaignsDir, journalFile }, { ...runFiles, reportCounts });
     
   } catch (error) {
     console.error(chalk.red(`\n❌ Fatal error: ${error.message}`));
@@ -765,6 +1817,169 @@ async function batchCallCommand(csvFile, agentId, options) {
   }
 }
 
+/**
+ * Show columns that were mapped onto differently named fields, and save the mapping with --save-map
+ */
+function printColumnMap(columnMap, saveMapFile) {
+  const renamed = Object.entries(columnMap).filter(([field, header]) => field !== header);
+  if (renamed.length > 0) {
+    console.log(chalk.gray(`  Columns: ${renamed.map(([field, header]) => `${field} ← ${header}`).join(', ')}`));
+  }
+  if (saveMapFile) {
+    saveMappingFile(saveMapFile, columnMap);
+    console.log(chalk.gray(`  Column mapping saved to ${saveMapFile}`));
+  }
+}
+
+/**
+ * Save the run's calls to the campaign, print the summary and exit
+ */
+function finishBatchRun(stats, { source, campaignRef, campaignsDir, journalFile }, files) {
+  // Save campaign metadata for watch command
+  if (stats.successful > 0) {
+    // Without every row in memory, the calls are read back from the journal
+    const { campaignId, campaignData, isNew } = stats.keepRows
+      ? saveCampaign(source, stats.createdCalls, campaignRef, campaignsDir)
+      : saveCampaign(source, readJournalCalls(journalFile), campaignRef, campaignsDir, stats.createdCallIds);
+    
+    if (isNew) {
+      console.log(chalk.green(`\n✓ Campaign saved: ${campaignId}`));
+    } else {
+      console.log(chalk.green(`\n✓ Updated existing campaign: ${campaignId}`));
+      console.log(chalk.gray(`  Added ${stats.successful} new calls (total: ${campaignData.totalCalls})`));
+    }
+    
+    console.log(chalk.gray(`  Monitor with: node blackbox-cli.js watch`));
+  }
+  // Every journaled call is now in the campaign file
+  removeJournal(journalFile);
+  
+  // Print summary
+  printSummary(stats, files);
+  
+  // Exit with appropriate code
+  process.exit(stats.failed > 0 ? 1 : 0);
+}
+
+// Exit codes of watch --json
+const WATCH_EXIT_CODES = {
+  COMPLETE: 0,
+  FATAL: 1,
+  FAILED_CALLS: 2
+};
+
+/**
+ * Why watch stops on a definitive agent error (401/403/404)
+ */
+function getAgentExitMessage(watcher) {
+  const warning = watcher.agentFetchWarning || '';
+  if (watcher.agentNotFound) {
+    return 'Exiting: The specified agent does not exist. Please verify the agent ID in the BlackBox UI.';
+  }
+  if (warning.includes('401')) {
+    return 'Exiting: Invalid API key. Provide a valid key via --api-key or BLACKBOX_API_KEY.';
+  }
+  if (warning.includes('403')) {
+    return 'Exiting: Access forbidden for this API key on the requested resource.';
+  }
+  return 'Exiting due to unrecoverable error.';
+}
+
+/**
+ * Progress snapshot event for watch --json
+ */
+function getProgressEvent(watcher) {
+  const progress = watcher.getProgress();
+  const { completed, running, queued, created, failed, canceled, expired } = watcher.stats;
+  return {
+    type: 'progress',
+    completed,
+    running,
+    queued,
+    created,
+    failed,
+    canceled,
+    expired,
+    total: progress.total,
+    original: progress.original,
+    percentage: Math.round(progress.percentage * 10) / 10,
+    callsPerMinute: watcher.getCallsPerMinute()
+  };
+}
+
+/**
+ * Headless watch: poll without touching the terminal and print one JSON event
+ * per line (start, call status changes, progress snapshots, errors, end).
+ * Resolves with a WATCH_EXIT_CODES value once no call is left in progress or
+ * on a definitive agent error.
+ */
+async function streamWatchEvents(watcher, campaignData, options, notifier = null) {
+  const emit = (event) => console.log(JSON.stringify({ type: event.type, timestamp: new Date().toISOString(), ...event }));
+  const refreshMs = parseFloat(options.refresh) * 1000;
+  const progressMs = parseFloat(options.progressInterval || '60') * 1000;
+  
+  await watcher.fetchAgentDetails();
+  if (watcher.agentFatalExit) {
+    emit({ type: 'error', fatal: true, message: `${watcher.agentFetchWarning} ${getAgentExitMessage(watcher)}` });
+    return WATCH_EXIT_CODES.FATAL;
+  }
+  emit({
+    type: 'start',
+    campaignId: campaignData.campaignId,
+    alias: campaignData.alias || null,
+    agentId: campaignData.agentId,
+    agentName: watcher.agentName,
+    totalCalls: campaignData.totalCalls,
+    lookup: watcher.lookupStrategy
+  });
+  
+  const emitChanges = (changes) => changes.forEach(change => emit({
+    type: 'call',
+    callId: change.callId,
+    endpoint: change.endpoint,
+    from: change.oldStatus || null,
+    to: change.newStatus,
+    durationSeconds: change.durationSeconds ?? null
+  }));
+  
+  // Calls that changed before watch started are reported like later changes
+  const synced = await watcher.syncWithServer();
+  if (synced) {
+    emitChanges(synced);
+  } else {
+    emit({ type: 'error', fatal: false, message: `Sync with server failed (${watcher.syncError}), using local data` });
+  }
+  
+  let lastProgressAt = 0;
+  for (;;) {
+    const changes = await watcher.update();
+    if (watcher.updateError) {
+      emit({ type: 'error', fatal: false, message: `Error fetching updates: ${watcher.updateError}` });
+    }
+    emitChanges(changes);
+    
+    if (notifier) {
+      const sent = await notifier.check(watcher);
+      sent.forEach(payload => emit({ type: 'notification', event: payload.event, message: payload.message }));
+      if (sent.length > 0 && notifier.lastError) {
+        emit({ type: 'error', fatal: false, message: `Notification failed: ${notifier.lastError}` });
+      }
+    }
+    
+    const finished = watcher.isFinished();
+    if (finished || Date.now() - lastProgressAt >= progressMs) {
+      emit(getProgressEvent(watcher));
+      lastProgressAt = Date.now();
+    }
+    if (finished) {
+      const exitCode = watcher.isComplete() ? WATCH_EXIT_CODES.COMPLETE : WATCH_EXIT_CODES.FAILED_CALLS;
+      emit({ type: 'end', reason: exitCode === WATCH_EXIT_CODES.COMPLETE ? 'complete' : 'failed_calls', exitCode });
+      return exitCode;
+    }
+    await new Promise(resolve => setTimeout(resolve, refreshMs));
+  }
+}
+
 /**
  * Watch command implementation
  */
@@ -777,25 +1992,19 @@ async function watchCommand(campaignId, options) {
   }
 
   // Load campaign data
-  const campaignsDir = path.join(__dirname, '.blackbox-campaigns');
-  let campaignFile;
+  const campaignsDir = getCampaignsDir(options);
   let campaignData;
 
   try {
-    if (campaignId) {
-      // Load specific campaign
-      campaignFile = path.join(campaignsDir, `${campaignId}.json`);
-    } else {
-      // Load last campaign
-      campaignFile = path.join(campaignsDir, 'last-campaign.json');
-    }
+    // Load specific campaign (id or alias), or the last one
+    const campaign = campaignId ? findCampaign(campaignsDir, campaignId) : loadLastCampaign(campaignsDir);
 
-    if (!fs.existsSync(campaignFile)) {
+    if (!campaign) {
       console.error(chalk.red('✗ Error: Campaign not found. Run a batch-call first to create a campaign.'));
       process.exit(1);
     }
 
-    campaignData = JSON.parse(fs.readFileSync(campaignFile, 'utf8'));
+    campaignData = campaign.data;
   } catch (error) {
     console.error(chalk.red('✗ Error loading campaign:', error.message));
     process.exit(1);
@@ -803,9 +2012,46 @@ async function watchCommand(campaignId, options) {
 
   // Import CampaignWatcher
   const CampaignWatcher = require('./lib/campaign-watcher');
-  const watcher = new CampaignWatcher(campaignData, options.apiUrl, apiKey);
+  let watcher;
+  try {
+    watcher = new CampaignWatcher(campaignData, options.apiUrl, apiKey, { lookup: options.lookup });
+  } catch (error) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+    process.exit(1);
+  }
+
+  // Milestone notifications (webhook and/or local command)
+  let notifier = null;
+  if (options.notifyUrl || options.onEvent) {
+    try {
+      const failureThreshold = parseFloat(options.failureThreshold);
+      const stallMinutes = parseFloat(options.stallMinutes);
+      if (isNaN(failureThreshold) || failureThreshold < 0 || failureThreshold > 100) {
+        throw new Error('--failure-threshold must be a percentage between 0 and 100');
+      }
+      if (isNaN(stallMinutes) || stallMinutes <= 0) {
+        throw new Error('--stall-minutes must be a positive number');
+      }
+      notifier = createNotifier({
+        notifyUrl: options.notifyUrl,
+        onEvent: options.onEvent,
+        events: parseNotifyEvents(options.notifyOn),
+        failureThreshold,
+        stallMinutes
+      });
+    } catch (error) {
+      console.error(chalk.red(`✗ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+
+  if (options.json) {
+    process.exit(await streamWatchEvents(watcher, campaignData, options, notifier));
+  }
 
   const isNonInteractive = Boolean(process.env.JEST_WORKER_ID || process.env.BLACKBOX_NON_INTERACTIVE === '1');
+  // Call list / call detail screen; null while the dashboard is shown
+  let callBrowser = null;
   if (!isNonInteractive) {
     // Setup keyboard handling
     const readline = require('readline');
@@ -814,12 +2060,29 @@ async function watchCommand(campaignId, options) {
       process.stdin.setRawMode(true);
     }
 
-    process.stdin.on('keypress', async (str, key) => {
+    process.stdin.on('keypress', async (str, key = {}) => {
       if (key.ctrl && key.name === 'c') {
         console.log(chalk.yellow('\n\nExiting...'));
         process.exit(0);
       }
       
+      // The call list takes every other key while it is open
+      if (callBrowser) {
+        const action = callBrowser.handleKey(str, key);
+        if (action === 'quit') {
+          console.log(chalk.yellow('\n\nExiting...'));
+          process.exit(0);
+        }
+        if (action === 'back') {
+          callBrowser = null;
+        }
+        render();
+        if (!callBrowser) {
+          exitIfComplete();
+        }
+        return;
+      }
+      
       switch (key.name) {
         case 'q':
           console.log(chalk.yellow('\n\nExiting...'));
@@ -833,6 +2096,14 @@ async function watchCommand(campaignId, options) {
           await watcher.update();
           render();
           break;
+        case 's':
+          await syncWithServer();
+          render();
+          break;
+        case 'l':
+          callBrowser = createCallBrowser(watcher);
+          render();
+          break;
         case 'e':
           const filename = await watcher.exportResults();
           console.log(chalk.green(`\n✓ Results exported to ${filename}`));
@@ -842,29 +2113,50 @@ async function watchCommand(campaignId, options) {
     });
   }
 
+  // Reconcile local campaign state with the server
+  const syncWithServer = async () => {
+    const syncSpinner = ora('Syncing with server...').start();
+    const synced = await watcher.syncWithServer();
+    if (synced) {
+      syncSpinner.succeed('Synced with server');
+    } else {
+      syncSpinner.warn(`Using local data (sync failed: ${watcher.syncError})`);
+    }
+    return synced;
+  };
+
   // Render function
   const render = () => {
     console.clear();
     
+    if (callBrowser) {
+      // Leave room for the list header and key help
+      const pageSize = Math.max(5, (process.stdout.rows || 30) - 6);
+      callBrowser.render(pageSize).forEach(line => console.log(line));
+      if (watcher.isComplete()) {
+        console.log(chalk.green('✓ Campaign completed. Close the list or press Q to exit.'));
+      }
+      return;
+    }
+    
     // Header
     if (watcher.agentFetchWarning) {
       console.log(chalk.bgYellow.black(` ${watcher.agentFetchWarning} `));
       if (watcher.agentFatalExit) {
-        const exitMsg = watcher.agentNotFound
-          ? 'Exiting: The specified agent does not exist. Please verify the agent ID in the BlackBox UI.'
-          : (watcher.agentFetchWarning.includes('401')
-              ? 'Exiting: Invalid API key. Provide a valid key via --api-key or BLACKBOX_API_KEY.'
-              : watcher.agentFetchWarning.includes('403')
-                ? 'Exiting: Access forbidden for this API key on the requested resource.'
-                : 'Exiting due to unrecoverable error.');
-        console.log(chalk.red(exitMsg));
+        console.log(chalk.red(getAgentExitMessage(watcher)));
         process.exit(1);
       }
     }
     console.log(chalk.cyan('┌─ Campaign Monitor ──────────────────────────────────────────────────────┐'));
-    console.log(chalk.cyan('│') + ` Campaign: ${chalk.bold(campaignData.campaignId)}`.padEnd(73) + chalk.cyan('│'));
+    const campaignLabel = campaignData.alias ? `${campaignData.alias} (${campaignData.campaignId})` : campaignData.campaignId;
+    console.log(chalk.cyan('│') + ` Campaign: ${chalk.bold(campaignLabel)}`.padEnd(73) + chalk.cyan('│'));
     console.log(chalk.cyan('│') + ` Source: ${campaignData.csvFile} (${campaignData.totalCalls} calls)`.padEnd(73) + chalk.cyan('│'));
+    const activeTotal = watcher.getActiveTotal();
+    if (activeTotal !== campaignData.totalCalls) {
+      console.log(chalk.cyan('│') + ` Original: ${campaignData.totalCalls}, Active: ${activeTotal}`.padEnd(73) + chalk.cyan('│'));
+    }
     console.log(chalk.cyan('│') + ` Agent: ${watcher.getAgentDisplayName()}`.padEnd(73) + chalk.cyan('│'));
+    console.log(chalk.cyan('│') + ` Lookup: ${watcher.getLookupDisplay()}`.slice(0, 73).padEnd(73) + chalk.cyan('│'));
     // Keep header line uncolored to avoid border misalignment
     console.log(chalk.cyan('│') + ` ${watcher.getConcurrencyDisplay()}`.padEnd(73) + chalk.cyan('│'));
     
@@ -899,6 +2191,9 @@ async function watchCommand(campaignId, options) {
     console.log('═'.repeat(75));
     
     const progress = watcher.getProgress();
+    if (progress.total === 0 && progress.original > 0) {
+      console.log(chalk.yellow('All calls in this campaign were canceled or expired on the server.'));
+    }
     const barLength = 40;
     const filled = Math.floor((progress.percentage / 100) * barLength);
     const progressBar = '█'.repeat(filled) + '░'.repeat(barLength - filled);
@@ -924,7 +2219,7 @@ async function watchCommand(campaignId, options) {
     
     statuses.forEach(status => {
       const count = watcher.stats[status.key];
-      const percentage = campaignData.totalCalls > 0 ? (count / campaignData.totalCalls * 100).toFixed(0) : 0;
+      const percentage = activeTotal > 0 ? (count / activeTotal * 100).toFixed(0) : 0;
       const barLength = 20;
       const filled = maxCount > 0 ? Math.floor((count / maxCount) * barLength) : 0;
       const bar = '█'.repeat(filled).padEnd(barLength);
@@ -932,6 +2227,21 @@ async function watchCommand(campaignId, options) {
       const line = `${status.name.padEnd(10)} ${chalk[status.color](bar)} ${count.toString().padStart(6)} (${percentage}%)`;
       console.log(line);
     });
+
+    // Calls no longer active on the server are listed separately
+    const inactive = [
+      { name: 'Canceled', key: 'canceled' },
+      { name: 'Expired', key: 'expired' }
+    ].filter(status => watcher.stats[status.key] > 0);
+    if (inactive.length > 0) {
+      console.log('\n' + chalk.bold('Inactive Calls'));
+      console.log('═'.repeat(75));
+      inactive.forEach(status => {
+        const count = watcher.stats[status.key];
+        const percentage = campaignData.totalCalls > 0 ? (count / campaignData.totalCalls * 100).toFixed(0) : 0;
+        console.log(chalk.gray(`${status.name.padEnd(10)} ${count.toString().padStart(27)} (${percentage}% of original)`));
+      });
+    }
     
     // Activity feed
     console.log('\n' + chalk.bold('Live Feed (last 10 calls)'));
@@ -965,10 +2275,27 @@ async function watchCommand(campaignId, options) {
     
     // Controls
     console.log('\n' + chalk.gray('─'.repeat(75)));
-    console.log(chalk.gray('[R]efresh now  [P]ause  [E]xport results  [Q]uit'));
+    console.log(chalk.gray('[R]efresh now  [S]ync with server  [P]ause  [L]ist calls  [E]xport results  [Q]uit'));
     const pauseStatus = watcher.isPaused ? chalk.yellow('PAUSED') : chalk.green('ON');
     const lastUpdate = new Date(watcher.stats.lastUpdateTime).toLocaleTimeString();
     console.log(chalk.gray(`Auto-refresh: ${pauseStatus} (every ${options.refresh}s) | Last update: ${lastUpdate}`));
+    if (notifier) {
+      const lastSent = notifier.lastSent
+        ? `last sent: ${notifier.lastSent.event} at ${new Date(notifier.lastSent.at).toLocaleTimeString()}`
+        : 'none sent yet';
+      console.log(chalk.gray(`Notifications: ${lastSent}`));
+      if (notifier.lastError) {
+        console.log(chalk.red(`Notification failed: ${notifier.lastError}`));
+      }
+    }
+  };
+
+  // Exit once the campaign is complete, but never from under the call list;
+  // closing it exits instead
+  const exitIfComplete = () => {
+    if (callBrowser || !watcher.isComplete()) return;
+    console.log(chalk.green('\n\n✓ Campaign completed!'));
+    process.exit(0);
   };
 
   // Initial update and render
@@ -981,38 +2308,178 @@ async function watchCommand(campaignId, options) {
     if (watcher.agentFetchWarning) {
       console.log(chalk.bgYellow.black(` ${watcher.agentFetchWarning} `));
     }
-    const exitMsg = watcher.agentNotFound
-      ? 'Exiting: The specified agent does not exist. Please verify the agent ID in the BlackBox UI.'
-      : (watcher.agentFetchWarning && watcher.agentFetchWarning.includes('401')
-          ? 'Exiting: Invalid API key. Provide a valid key via --api-key or BLACKBOX_API_KEY.'
-          : (watcher.agentFetchWarning && watcher.agentFetchWarning.includes('403')
-              ? 'Exiting: Access forbidden for this API key on the requested resource.'
-              : 'Exiting due to unrecoverable error.'));
-    console.log(chalk.red(exitMsg));
+    console.log(chalk.red(getAgentExitMessage(watcher)));
     process.exit(1);
   }
   
+  // Reconcile with the server before the first render
+  await syncWithServer();
+
   // Then update call data
   await watcher.update();
+  if (notifier) {
+    await notifier.check(watcher);
+  }
   render();
 
   if (!isNonInteractive) {
-    // Set up refresh interval
+    // Refresh on a timer that is set again only when the previous refresh is
+    // done, so slow polls or notifications never overlap
     const refreshInterval = parseInt(options.refresh) * 1000;
-    const interval = setInterval(async () => {
+    const refresh = async () => {
       if (!watcher.isPaused) {
         await watcher.update();
-        render();
-        
-        // Check if campaign is complete
-        if (watcher.isComplete()) {
-          console.log(chalk.green('\n\n✓ Campaign completed!'));
-          clearInterval(interval);
-          process.exit(0);
+        if (notifier) {
+          await notifier.check(watcher);
         }
+        render();
+        exitIfComplete();
       }
-    }, refreshInterval);
+      setTimeout(refresh, refreshInterval);
+    };
+    setTimeout(refresh, refreshInterval);
+  }
+}
+
+/**
+ * Format an ISO timestamp for table display
+ */
+function formatTimestamp(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+/**
+ * Resolve a campaign reference or exit with an error
+ */
+function requireCampaign(ref, campaignsDir) {
+  const campaign = findCampaign(campaignsDir, ref);
+  if (!campaign) {
+    console.error(chalk.red(`✗ Error: Campaign not found: ${ref}. Run 'campaigns list' to see saved campaigns.`));
+    process.exit(1);
+  }
+  return campaign;
+}
+
+/**
+ * campaigns list
+ */
+function campaignsListCommand(options) {
+  const campaignsDir = getCampaignsDir(options);
+  const campaigns = listCampaigns(campaignsDir);
+  if (campaigns.length === 0) {
+    console.log(chalk.yellow('No saved campaigns. Run a batch-call first to create a campaign.'));
+    return;
+  }
+
+  const table = new Table({
+    head: ['ID', 'Alias', 'CSV File', 'Agent ID', 'Calls', 'Created', 'Last Updated'].map(h => chalk.cyan(h))
+  });
+  campaigns.forEach(({ data }) => {
+    table.push([
+      data.campaignId,
+      data.alias || '',
+      data.csvFile || '',
+      data.agentId || '',
+      data.totalCalls ?? 0,
+      formatTimestamp(data.createdAt),
+      formatTimestamp(data.lastUpdated)
+    ]);
+  });
+  console.log(table.toString());
+  console.log(chalk.gray(`Store: ${campaignsDir}`));
+  console.log(chalk.gray(`${campaigns.length} campaign(s). Monitor one with: node blackbox-cli.js watch <id|alias>`));
+}
+
+/**
+ * campaigns show <campaign>
+ */
+function campaignsShowCommand(ref, options) {
+  const { file, data } = requireCampaign(ref, getCampaignsDir(options));
+
+  console.log(chalk.bold(`Campaign ${data.campaignId}`));
+  console.log('═'.repeat(75));
+  if (data.alias) {
+    console.log(`Alias: ${chalk.cyan(data.alias)}`);
+  }
+  console.log(`Source: ${chalk.cyan(data.csvPath || data.csvFile || '-')}`);
+  if (data.csvFingerprint) {
+    console.log(`Fingerprint: ${chalk.gray(data.csvFingerprint.slice(0, 16))}`);
+  }
+  if (data.tag) {
+    console.log(`Tag: ${chalk.cyan(`${CAMPAIGN_TAG_FIELD}=${data.tag}`)}`);
+  }
+  console.log(`Agent ID: ${chalk.cyan(data.agentId || '-')}`);
+  console.log(`Total calls: ${chalk.cyan(data.totalCalls ?? 0)}`);
+  console.log(`Created: ${formatTimestamp(data.createdAt)}`);
+  console.log(`Last updated: ${formatTimestamp(data.lastUpdated)}`);
+  console.log(chalk.gray(`File: ${file}`));
+
+  const callIds = Array.isArray(data.callIds) ? data.callIds : [];
+  if (callIds.length > 0) {
+    const mapping = data.callMapping || {};
+    const table = new Table({
+      head: ['Call ID', 'Endpoint', 'Additional Data'].map(h => chalk.cyan(h))
+    });
+    callIds.slice(0, 10).forEach(callId => {
+      const call = mapping[callId] || {};
+      table.push([callId, call.endpoint || '', call.additionalData ? JSON.stringify(call.additionalData) : '']);
+    });
+    console.log('\n' + chalk.bold(`Calls (first ${Math.min(10, callIds.length)} of ${callIds.length})`));
+    console.log(table.toString());
+  }
+}
+
+/**
+ * campaigns rm <campaign>
+ */
+async function campaignsRemoveCommand(ref, options) {
+  const campaignsDir = getCampaignsDir(options);
+  const campaign = requireCampaign(ref, campaignsDir);
+  const { campaignId } = campaign.data;
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      console.error(chalk.red('✗ Error: Refusing to delete without confirmation. Re-run with --yes.'));
+      process.exit(1);
+    }
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => {
+      rl.question(chalk.yellow(`Delete campaign ${campaignId} (${campaign.data.totalCalls ?? 0} calls)? [y/N] `), resolve);
+    });
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      console.log(chalk.gray('Aborted.'));
+      return;
+    }
+  }
+
+  deleteCampaign(campaignsDir, campaign);
+  console.log(chalk.green(`✓ Deleted campaign ${campaignId}`));
+  console.log(chalk.gray('  Calls already created on the server are not affected.'));
+}
+
+/**
+ * campaigns rename <campaign> <alias>
+ */
+function campaignsRenameCommand(ref, alias, options) {
+  const campaignsDir = getCampaignsDir(options);
+  const { file, data } = requireCampaign(ref, campaignsDir);
+
+  const aliasError = validateAlias(campaignsDir, alias, data.campaignId);
+  if (aliasError) {
+    console.error(chalk.red(`✗ Error: ${aliasError}`));
+    process.exit(1);
   }
+
+  const previous = data.alias;
+  data.alias = alias;
+  writeCampaign(campaignsDir, file, data);
+  console.log(chalk.green(`✓ Campaign ${data.campaignId} is now known as ${chalk.bold(alias)}`) +
+    (previous ? chalk.gray(` (was ${previous})`) : ''));
+  console.log(chalk.gray(`  Monitor with: node blackbox-cli.js watch ${alias}`));
 }
 
 // Parse command line arguments when executed directly
@@ -1026,11 +2493,18 @@ module.exports = {
   getSystemTimezone,
   validatePhoneNumber,
   writeProcessedCSV,
+  writeRejectedReport,
+  writeEnrolledReport,
   loadPreviousCampaignEndpoints,
+  saveCampaign,
+  recoverFromJournal,
   readCallsFromCSV,
+  processBatches,
+  streamBatchCalls,
   Stats,
   // Exports for tests
   getFatalStatusMessage,
   computePrimaryApiFailure
+  ,batchCallCommand
   ,watchCommand
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const axios = require('axios');
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+// Agent working hours as returned by GET /api/v1/agents/:id: schedule.timezone
+// plus a list of { start: { hour, minute }, end: { hour, minute } } per weekday.
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const FULL_DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Fetch an agent's schedule. Returns null when the agent has none.
+ * Throws on non-2xx so callers can decide how to report it.
+ */
+async function fetchAgentSchedule(apiUrl, apiKey, agentId, timeoutMs = 5000) {
+  const url = `${apiUrl.replace(/\/$/, '')}/api/v1/agents/${agentId}`;
+  const response = await axios.get(url, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: timeoutMs
+  });
+  const schedule = response && response.data ? response.data.schedule : null;
+  return schedule && typeof schedule === 'object' ? schedule : null;
+}
+
+/**
+ * Time ranges for a three-letter day ('Mon'); the API may key days as
+ * 'Mon', 'mon' or 'monday'.
+ */
+function getDaySchedule(schedule, day) {
+  if (!schedule) return [];
+  const full = FULL_DAY_NAMES[DAY_NAMES.indexOf(day)];
+  for (const key of [day, day.toLowerCase(), full]) {
+    if (Array.isArray(schedule[key])) return schedule[key];
+  }
+  return [];
+}
+
+/**
+ * Start of the agent's next working window: now when a window is open,
+ * otherwise the next start within a week. Null when the agent has no schedule
+ * (always available) or no windows at all.
+ */
+function getNextWindowStart(schedule, now = new Date()) {
+  if (!schedule) return null;
+  const timezone = schedule.timezone || 'UTC';
+  const today = getZonedParts(now, timezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const weekday = DAY_NAMES[(DAY_NAMES.indexOf(today.weekday) + offset) % 7];
+    const ranges = getDaySchedule(schedule, weekday)
+      .slice()
+      .sort((a, b) => (a.start.hour * 60 + a.start.minute) - (b.start.hour * 60 + b.start.minute));
+    for (const range of ranges) {
+      const day = { year: today.year, month: today.month, day: today.day + offset };
+      const start = zonedTimeToUtc({ ...day, hour: range.start.hour, minute: range.start.minute }, timezone);
+      const end = zonedTimeToUtc({ ...day, hour: range.end.hour, minute: range.end.minute }, timezone);
+      if (start <= now && now < end) return now;
+      if (start > now) return start;
+    }
+  }
+  return null;
+}
+
+/**
+ * "Mon 2025-05-05 09:00 Europe/Berlin" for messages
+ */
+function formatWindowStart(date, timezone = 'UTC') {
+  const parts = getZonedParts(date, timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parts.weekday} ${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(parts.minute)} ${timezone}`;
+}
+
+module.exports = {
+  fetchAgentSchedule,
+  getDaySchedule,
+  getNextWindowStart,
+  formatWindowStart
+};
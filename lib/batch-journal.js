@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { getSourceKey } = require('./campaign-identity');
+
+// Append-only journal of calls created during a batch-call run.
+// One JSON object per line, written after each successful bulk request so an
+// interrupted run can be recovered with `batch-call --resume`.
+
+/**
+ * Journal file path for a campaign source (see campaign-identity) inside the campaigns directory.
+ * Keyed on the resolved CSV path and agent so same-named files do not share a journal.
+ */
+function getJournalPath(campaignsDir, source) {
+  return path.join(campaignsDir, `${source.csvFile}.${getSourceKey(source)}.journal.ndjson`);
+}
+
+/**
+ * Append one batch worth of created calls to the journal.
+ * Uses a synchronous append so the entry is on disk before the next batch starts.
+ */
+function appendJournalEntry(journalFile, entry) {
+  fs.mkdirSync(path.dirname(journalFile), { recursive: true });
+  fs.appendFileSync(journalFile, JSON.stringify(entry) + '\n');
+}
+
+// Bytes read from the journal at a time
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Journal entries one at a time, read a chunk at a time so a large journal is
+ * never held in memory whole. Lines that cannot be parsed (e.g. a write cut
+ * short by a crash) are skipped.
+ */
+function* readJournalEntries(journalFile) {
+  if (!fs.existsSync(journalFile)) return;
+  const fd = fs.openSync(journalFile, 'r');
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+  try {
+    for (;;) {
+      const bytes = fs.readSync(fd, buffer, 0, buffer.length, null);
+      const lines = (rest + (bytes > 0 ? decoder.write(buffer.subarray(0, bytes)) : decoder.end())).split('\n');
+      rest = bytes > 0 ? lines.pop() : '';
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (_) {
+          continue;
+        }
+        yield entry;
+      }
+      if (bytes === 0) break;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read all journal entries.
+ */
+function readJournal(journalFile) {
+  return Array.from(readJournalEntries(journalFile));
+}
+
+/**
+ * Created calls one at a time in the order they were journaled, which is
+ * batch order for a run that sends one batch at a time (--stream).
+ */
+function* readJournalCalls(journalFile) {
+  for (const entry of readJournalEntries(journalFile)) {
+    if (Array.isArray(entry.calls)) {
+      yield* entry.calls;
+    }
+  }
+}
+
+/**
+ * Flatten journal entries into the list of created calls in batch (CSV) order.
+ * Parallel runs may write batches out of order.
+ */
+function getJournalCalls(entries) {
+  const calls = [];
+  const ordered = entries
+    .slice()
+    .sort((a, b) => (a.batch || 0) - (b.batch || 0));
+  for (const entry of ordered) {
+    if (Array.isArray(entry.calls)) {
+      calls.push(...entry.calls);
+    }
+  }
+  return calls;
+}
+
+function removeJournal(journalFile) {
+  fs.rmSync(journalFile, { force: true });
+}
+
+module.exports = {
+  getJournalPath,
+  appendJournalEntry,
+  readJournal,
+  readJournalCalls,
+  getJournalCalls,
+  removeJournal
+};
@@ -0,0 +1,272 @@
+const chalk = require('chalk');
+
+// Call list and call detail screens of the interactive watch: a scrollable,
+// filterable list of the campaign's calls and the details of one call.
+
+// Status filter cycled with F; null shows every call
+const STATUS_FILTERS = [null, 'completed', 'running', 'queued', 'failed', 'created', 'canceled', 'expired'];
+
+const STATUS_COLORS = {
+  completed: 'green',
+  running: 'blue',
+  queued: 'yellow',
+  failed: 'red'
+};
+
+/**
+ * One row per campaign call, combining the server state from the watcher
+ * with the endpoint and additionalData recorded by batch-call.
+ */
+function getCallRows(watcher) {
+  const mapping = watcher.campaign.callMapping || {};
+  return watcher.campaign.callIds.map(callId => {
+    const state = watcher.callStates.get(callId) || {};
+    const recorded = mapping[callId] || {};
+    return {
+      callId,
+      endpoint: state.endpoint || recorded.endpoint || '',
+      status: state.status || (watcher.missingCallIds.has(callId) ? 'expired' : 'created'),
+      createdTime: state.createdTime || null,
+      completedTime: state.completedTime || null,
+      durationSeconds: state.durationSeconds,
+      serverJobId: state.serverJobId || null,
+      inspectorUrl: state.inspectorUrl || null,
+      additionalData: recorded.additionalData || {}
+    };
+  });
+}
+
+/**
+ * Whether a row matches a search. Numbers match ignoring formatting
+ * ("555 0101" finds +12025550101); "key=value" searches one additionalData
+ * field; anything else matches the endpoint, call id or any additionalData value.
+ */
+function matchesQuery(row, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return true;
+
+  if (/^[\d\s()+.-]+$/.test(text)) {
+    const digits = text.replace(/\D/g, '');
+    return digits.length > 0 && row.endpoint.replace(/\D/g, '').includes(digits);
+  }
+
+  const pair = text.match(/^([^=]+)=(.*)$/);
+  if (pair) {
+    const [, key, value] = pair;
+    return Object.entries(row.additionalData).some(([field, fieldValue]) =>
+      field.toLowerCase() === key.trim() && String(fieldValue).toLowerCase().includes(value.trim()));
+  }
+
+  return row.endpoint.toLowerCase().includes(text) ||
+    row.callId.toLowerCase().includes(text) ||
+    Object.values(row.additionalData).some(value => String(value).toLowerCase().includes(text));
+}
+
+function filterCallRows(rows, { query = '', status = null } = {}) {
+  return rows.filter(row => (!status || row.status === status) && matchesQuery(row, query));
+}
+
+function formatTime(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? String(value) : date.toLocaleString();
+}
+
+function formatDuration(seconds) {
+  if (typeof seconds !== 'number' || !isFinite(seconds)) return '-';
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+function colorStatus(status, text = status) {
+  return STATUS_COLORS[status] ? chalk[STATUS_COLORS[status]](text) : chalk.gray(text);
+}
+
+/**
+ * State and key handling for the call list and detail screens.
+ * handleKey() returns 'back' when the user leaves the list, 'quit' on Q, and
+ * otherwise undefined; render() returns the lines to print for the current screen.
+ */
+function createCallBrowser(watcher) {
+  return {
+    screen: 'list',
+    query: '',
+    status: null,
+    searching: false,
+    selected: 0,
+    offset: 0,
+    pageSize: 20,
+    searchBefore: '',
+    // The detail screen stays on its call while refreshes reorder the list
+    detailCallId: null,
+
+    getRows() {
+      return filterCallRows(getCallRows(watcher), { query: this.query, status: this.status });
+    },
+
+    handleKey(str, key = {}) {
+      const rows = this.getRows();
+      const count = rows.length;
+
+      // While typing a search every printable key is part of the query
+      if (this.searching) {
+        if (key.name === 'return' || key.name === 'enter') {
+          this.searching = false;
+        } else if (key.name === 'escape') {
+          this.searching = false;
+          this.query = this.searchBefore;
+        } else if (key.name === 'backspace') {
+          this.query = this.query.slice(0, -1);
+        } else if (str && str.length === 1 && !key.ctrl && !key.meta && str >= ' ') {
+          this.query += str;
+        }
+        this.selected = 0;
+        return undefined;
+      }
+
+      if (key.name === 'q') return 'quit';
+
+      if (this.screen === 'detail') {
+        if (key.name === 'escape' || key.name === 'b' || key.name === 'backspace') {
+          this.screen = 'list';
+        } else if (key.name === 'up' || key.name === 'k' || key.name === 'down' || key.name === 'j') {
+          this.select(this.selected + (key.name === 'up' || key.name === 'k' ? -1 : 1), count);
+          if (rows[this.selected]) this.detailCallId = rows[this.selected].callId;
+        }
+        return undefined;
+      }
+
+      switch (key.name) {
+        case 'escape':
+        case 'b':
+        case 'l':
+          return 'back';
+        case 'up':
+        case 'k':
+          this.select(this.selected - 1, count);
+          break;
+        case 'down':
+        case 'j':
+          this.select(this.selected + 1, count);
+          break;
+        case 'pageup':
+          this.select(this.selected - this.pageSize, count);
+          break;
+        case 'pagedown':
+          this.select(this.selected + this.pageSize, count);
+          break;
+        case 'home':
+          this.select(0, count);
+          break;
+        case 'end':
+          this.select(count - 1, count);
+          break;
+        case 'return':
+        case 'enter':
+          if (count > 0) {
+            this.screen = 'detail';
+            this.detailCallId = rows[this.selected].callId;
+          }
+          break;
+        case 'f':
+          this.status = STATUS_FILTERS[(STATUS_FILTERS.indexOf(this.status) + 1) % STATUS_FILTERS.length];
+          this.selected = 0;
+          break;
+        case 'c':
+          this.query = '';
+          this.status = null;
+          this.selected = 0;
+          break;
+        default:
+          if (str === '/') {
+            this.searching = true;
+            this.searchBefore = this.query;
+          }
+      }
+      return undefined;
+    },
+
+    select(index, count) {
+      this.selected = Math.max(0, Math.min(index, count - 1));
+    },
+
+    render(pageSize = this.pageSize) {
+      this.pageSize = pageSize;
+      if (this.screen === 'detail') {
+        const row = getCallRows(watcher).find(call => call.callId === this.detailCallId);
+        if (row) return this.renderDetail(row);
+        this.screen = 'list';
+      }
+      const rows = this.getRows();
+      this.select(this.selected, rows.length);
+      return this.renderList(rows, pageSize);
+    },
+
+    renderList(rows, pageSize) {
+      // Keep the selection on screen
+      if (this.selected < this.offset) this.offset = this.selected;
+      if (this.selected >= this.offset + pageSize) this.offset = this.selected - pageSize + 1;
+      this.offset = Math.max(0, Math.min(this.offset, rows.length - pageSize));
+
+      const filters = [
+        this.status ? `status: ${this.status}` : null,
+        this.query ? `search: "${this.query}"` : null
+      ].filter(Boolean);
+      const lines = [
+        chalk.bold(`Calls (${rows.length} of ${watcher.campaign.callIds.length})`) + (filters.length > 0 ? chalk.gray(` ${filters.join(', ')}`) : ''),
+        '═'.repeat(75),
+        chalk.gray(`  ${'Endpoint'.padEnd(18)} ${'Status'.padEnd(10)} ${'Completed'.padEnd(24)} ${'Duration'.padEnd(9)} Call ID`)
+      ];
+      if (rows.length === 0) {
+        lines.push(chalk.gray('  No calls match.'));
+      }
+      rows.slice(this.offset, this.offset + pageSize).forEach((row, i) => {
+        const selected = this.offset + i === this.selected;
+        const line = `${selected ? '>' : ' '} ${row.endpoint.padEnd(18)} ${colorStatus(row.status, row.status.padEnd(10))} ${formatTime(row.completedTime).padEnd(24)} ${formatDuration(row.durationSeconds).padEnd(9)} ${row.callId}`;
+        lines.push(selected ? chalk.inverse(line) : line);
+      });
+      lines.push(chalk.gray('─'.repeat(75)));
+      if (this.searching) {
+        lines.push(`Search: ${this.query}${chalk.inverse(' ')}  ${chalk.gray('(number, text or field=value; Enter to keep, Esc to cancel)')}`);
+      } else {
+        lines.push(chalk.gray('[↑/↓] Move  [Enter] Details  [/] Search  [F] Status filter  [C] Clear  [Esc] Back  [Q] Quit'));
+      }
+      return lines;
+    },
+
+    renderDetail(row) {
+      const field = (label, value) => `${chalk.gray(label.padEnd(15))} ${value}`;
+      const lines = [
+        chalk.bold(`Call ${row.endpoint || row.callId}`),
+        '═'.repeat(75),
+        field('Call ID:', row.callId),
+        field('Status:', colorStatus(row.status)),
+        field('Created:', formatTime(row.createdTime)),
+        field('Completed:', formatTime(row.completedTime)),
+        field('Duration:', formatDuration(row.durationSeconds)),
+        field('Server Job ID:', row.serverJobId || '-'),
+        field('Inspector:', row.inspectorUrl || '-'),
+        '',
+        chalk.bold('Additional Data')
+      ];
+      const entries = Object.entries(row.additionalData);
+      if (entries.length === 0) {
+        lines.push(chalk.gray('  (none)'));
+      }
+      entries.forEach(([key, value]) => {
+        lines.push(`  ${chalk.gray(`${key}:`)} ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+      });
+      lines.push(chalk.gray('─'.repeat(75)));
+      lines.push(chalk.gray('[↑/↓] Previous/next call  [Esc] Back to list  [Q] Quit'));
+      return lines;
+    }
+  };
+}
+
+module.exports = {
+  STATUS_FILTERS,
+  getCallRows,
+  filterCallRows,
+  createCallBrowser
+};
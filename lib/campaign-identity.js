@@ -0,0 +1,91 @@
+const path = require('path');
+const crypto = require('crypto');
+const { GENERATED_COLUMNS, detectCsvFormat } = require('./csv-format');
+const { isStdin, detectInputFormat, createRowStream } = require('./input-formats');
+
+// Campaign identity: which saved campaign a batch-call run belongs to.
+// A campaign is matched on agent ID and the resolved CSV path, and optionally
+// on a fingerprint of the CSV contents.
+
+/**
+ * Hash the input rows (headers and values, in order) ignoring the generated
+ * columns, so rewriting the processed file keeps the fingerprint.
+ */
+function computeCsvFingerprint(filePath, fileType = detectInputFormat(filePath)) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const csvFormat = fileType === 'csv' ? detectCsvFormat(filePath) : {};
+    createRowStream(filePath, fileType, csvFormat)
+      .on('headers', (headers) => {
+        hash.update(JSON.stringify(headers.filter(h => !GENERATED_COLUMNS.includes(h))));
+      })
+      .on('data', (row) => {
+        GENERATED_COLUMNS.forEach(column => delete row[column]);
+        hash.update(JSON.stringify(Object.values(row)));
+      })
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Describe where a run's calls come from.
+ * Returns { csvFile, csvPath, agentId, csvFingerprint? }. Standard input has no
+ * path, so it is identified by options.campaignName, which also becomes the
+ * alias of a campaign created from it.
+ */
+async function getCampaignSource(csvFile, agentId, options = {}) {
+  if (isStdin(csvFile)) {
+    return {
+      csvFile: options.campaignName,
+      csvPath: `stdin:${options.campaignName}`,
+      agentId,
+      alias: options.campaignName
+    };
+  }
+  const source = {
+    csvFile: path.basename(csvFile),
+    csvPath: path.resolve(csvFile),
+    agentId
+  };
+  if (options.fingerprint) {
+    source.csvFingerprint = await computeCsvFingerprint(csvFile, options.fileType);
+  }
+  return source;
+}
+
+/**
+ * Whether saved campaign data belongs to the given source.
+ * Campaigns saved before csvPath was recorded fall back to the CSV basename.
+ * Fingerprints are compared only when both sides have one.
+ */
+function matchesCampaignSource(data, source) {
+  if (!data) return false;
+  if (data.agentId && source.agentId && data.agentId !== source.agentId) return false;
+  if (data.csvPath) {
+    if (data.csvPath !== source.csvPath) return false;
+  } else if (data.csvFile !== source.csvFile) {
+    return false;
+  }
+  if (data.csvFingerprint && source.csvFingerprint && data.csvFingerprint !== source.csvFingerprint) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Short stable key for per-source files such as resume journals
+ */
+function getSourceKey(source) {
+  return crypto.createHash('sha1')
+    .update(`${source.csvPath}\0${source.agentId || ''}`)
+    .digest('hex')
+    .slice(0, 10);
+}
+
+module.exports = {
+  computeCsvFingerprint,
+  getCampaignSource,
+  matchesCampaignSource,
+  getSourceKey
+};
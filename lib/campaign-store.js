@@ -0,0 +1,231 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read/write helpers for saved campaigns in the campaigns directory.
+// Each campaign is stored as <campaignId>.json; last-campaign.json is a copy
+// of the most recently written campaign used by `watch` without arguments.
+
+const LAST_CAMPAIGN_FILE = 'last-campaign.json';
+// Names of the legacy files already copied into a store, so campaigns removed
+// or renamed there are not brought back by the next migration
+const MIGRATION_FILE = '.legacy-migrated.json';
+const ALIAS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+// additionalData field batch-call --tag-campaign stamps with the campaign's tag
+const CAMPAIGN_TAG_FIELD = 'blackboxCampaignTag';
+
+/**
+ * Default store location following the XDG base directory convention:
+ * $XDG_DATA_HOME/blackbox-cli/campaigns, falling back to ~/.local/share.
+ * On Windows %LOCALAPPDATA% is used instead.
+ */
+function getDefaultStoreDir(env = process.env) {
+  if (process.platform === 'win32' && env.LOCALAPPDATA) {
+    return path.join(env.LOCALAPPDATA, 'blackbox-cli', 'campaigns');
+  }
+  const dataHome = env.XDG_DATA_HOME && path.isAbsolute(env.XDG_DATA_HOME)
+    ? env.XDG_DATA_HOME
+    : path.join(os.homedir(), '.local', 'share');
+  return path.join(dataHome, 'blackbox-cli', 'campaigns');
+}
+
+/**
+ * Resolve the campaign store directory: explicit --store value, then
+ * BLACKBOX_STORE, then the default location.
+ */
+function resolveStoreDir(store, env = process.env) {
+  const dir = store || env.BLACKBOX_STORE || getDefaultStoreDir(env);
+  return path.resolve(dir);
+}
+
+/**
+ * Copy campaign files from the legacy store (next to the CLI script) into storeDir.
+ * The legacy directory is never changed, since it may be part of an installed
+ * package or a git checkout. Each file is considered once; files that already
+ * exist in storeDir are not overwritten. Returns the list of copied file names.
+ */
+function migrateLegacyStore(legacyDir, storeDir) {
+  if (path.resolve(legacyDir) === path.resolve(storeDir) || !fs.existsSync(legacyDir)) {
+    return [];
+  }
+  const markerFile = path.join(storeDir, MIGRATION_FILE);
+  let done = [];
+  try {
+    done = JSON.parse(fs.readFileSync(markerFile, 'utf8'));
+  } catch (_) {
+    // First migration into this store
+  }
+  const files = fs.readdirSync(legacyDir)
+    .filter(f => (f.endsWith('.json') || f.endsWith('.ndjson')) && !done.includes(f))
+    .filter(f => fs.statSync(path.join(legacyDir, f)).isFile());
+  if (files.length === 0) return [];
+
+  fs.mkdirSync(storeDir, { recursive: true });
+  const migrated = [];
+  for (const file of files) {
+    const target = path.join(storeDir, file);
+    if (!fs.existsSync(target)) {
+      fs.copyFileSync(path.join(legacyDir, file), target);
+      migrated.push(file);
+    }
+  }
+  fs.writeFileSync(markerFile, JSON.stringify(done.concat(files), null, 2));
+  return migrated;
+}
+
+/**
+ * List saved campaigns as { file, data }, newest first.
+ * Unreadable files are skipped.
+ */
+function listCampaigns(campaignsDir) {
+  if (!fs.existsSync(campaignsDir)) return [];
+  const campaigns = [];
+  const files = fs.readdirSync(campaignsDir)
+    .filter(f => f.endsWith('.json') && f !== LAST_CAMPAIGN_FILE);
+  for (const file of files) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(campaignsDir, file), 'utf8'));
+      if (data && data.campaignId) {
+        campaigns.push({ file: path.join(campaignsDir, file), data });
+      }
+    } catch (_) {
+      continue;
+    }
+  }
+  return campaigns.sort((a, b) => String(b.data.createdAt || '').localeCompare(String(a.data.createdAt || '')));
+}
+
+/**
+ * Resolve a campaign by its generated id or its alias.
+ * Returns { file, data } or null when not found.
+ */
+function findCampaign(campaignsDir, ref) {
+  if (!ref) return null;
+  // Ids map directly to file names; never let a reference escape the directory
+  if (path.basename(ref) === ref && ref !== LAST_CAMPAIGN_FILE.replace(/\.json$/, '')) {
+    const file = path.join(campaignsDir, `${ref}.json`);
+    if (fs.existsSync(file)) {
+      return { file, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+  }
+  return listCampaigns(campaignsDir).find(c => c.data.alias === ref) || null;
+}
+
+/**
+ * Load the campaign last written by batch-call, or null.
+ */
+function loadLastCampaign(campaignsDir) {
+  const file = path.join(campaignsDir, LAST_CAMPAIGN_FILE);
+  if (!fs.existsSync(file)) return null;
+  return { file, data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+}
+
+/**
+ * Write campaign data and keep last-campaign.json in sync when it refers to the same campaign.
+ */
+function writeCampaign(campaignsDir, file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  const last = loadLastCampaignSafe(campaignsDir);
+  if (last && last.data.campaignId === data.campaignId) {
+    fs.writeFileSync(last.file, JSON.stringify(data, null, 2));
+  }
+}
+
+// Size of the pieces a campaign file is written in
+const WRITE_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Write campaign data the way JSON.stringify(data, null, 2) does, adding
+ * newCalls (any iterable of created calls, read once) to its callMapping as
+ * they are read, so the calls of a large run never have to be held in memory
+ * at once.
+ */
+function writeCampaignFile(file, data, newCalls = []) {
+  const fd = fs.openSync(file, 'w');
+  let chunk = '';
+  const write = (text) => {
+    chunk += text;
+    if (chunk.length >= WRITE_CHUNK_SIZE) {
+      fs.writeSync(fd, chunk);
+      chunk = '';
+    }
+  };
+  const indent = (value, spaces) => JSON.stringify(value, null, 2).replace(/\n/g, `\n${' '.repeat(spaces)}`);
+  try {
+    const keys = Object.keys(data).filter(key => data[key] !== undefined);
+    write('{');
+    keys.forEach((key, index) => {
+      write(`${index > 0 ? ',' : ''}\n  ${JSON.stringify(key)}: `);
+      if (key !== 'callMapping') {
+        write(indent(data[key], 2));
+        return;
+      }
+      let count = 0;
+      const writeEntry = (callId, details) => {
+        write(`${count++ > 0 ? ',' : '{'}\n    ${JSON.stringify(callId)}: ${indent(details, 4)}`);
+      };
+      Object.entries(data.callMapping).forEach(([callId, details]) => writeEntry(callId, details));
+      for (const call of newCalls) {
+        writeEntry(call.callId, { endpoint: call.endpoint, additionalData: call.additionalData });
+      }
+      write(count > 0 ? '\n  }' : '{}');
+    });
+    write(keys.length > 0 ? '\n}' : '}');
+    fs.writeSync(fd, chunk);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Delete a campaign file. last-campaign.json is removed too when it points at this campaign.
+ */
+function deleteCampaign(campaignsDir, campaign) {
+  fs.rmSync(campaign.file, { force: true });
+  const last = loadLastCampaignSafe(campaignsDir);
+  if (last && last.data.campaignId === campaign.data.campaignId) {
+    fs.rmSync(last.file, { force: true });
+  }
+}
+
+/**
+ * Validate an alias for a campaign. Returns an error message, or null when valid.
+ */
+function validateAlias(campaignsDir, alias, campaignId) {
+  if (!ALIAS_PATTERN.test(alias)) {
+    return 'Alias must start with a letter or digit and contain only letters, digits, ".", "_" or "-" (max 64 characters)';
+  }
+  if (alias === 'new' || alias === LAST_CAMPAIGN_FILE.replace(/\.json$/, '')) {
+    return `"${alias}" is reserved`;
+  }
+  for (const { data } of listCampaigns(campaignsDir)) {
+    if (data.campaignId === campaignId) continue;
+    if (data.campaignId === alias || data.alias === alias) {
+      return `"${alias}" is already used by campaign ${data.campaignId}`;
+    }
+  }
+  return null;
+}
+
+function loadLastCampaignSafe(campaignsDir) {
+  try {
+    return loadLastCampaign(campaignsDir);
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  LAST_CAMPAIGN_FILE,
+  CAMPAIGN_TAG_FIELD,
+  getDefaultStoreDir,
+  resolveStoreDir,
+  migrateLegacyStore,
+  listCampaigns,
+  findCampaign,
+  loadLastCampaign,
+  writeCampaign,
+  writeCampaignFile,
+  deleteCampaign,
+  validateAlias
+};
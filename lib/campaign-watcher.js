@@ -4,10 +4,32 @@ const path = require('path');
 const chalk = require('chalk');
 const { fetchConcurrency } = require('./concurrency-service');
 const { calculateUtilizationPct, getConcurrencyLevel, getConcurrencyStatusMessage } = require('./concurrency-utils');
+const { getDaySchedule } = require('./agent-schedule');
+const { CAMPAIGN_TAG_FIELD } = require('./campaign-store');
+
+// Call statuses requested from the callresults search API
+const SEARCH_CALL_STATUSES = ['Completed', 'Failed', 'Running', 'Queued', 'Canceled', 'Created', 'Expired'];
+const SEARCH_PAGE_SIZE = 100;
+// Each poll re-reads this much before the previous one to allow for clock skew
+// between us and the server and for results written late
+const POLL_OVERLAP_MS = 60 * 1000;
+
+// How call results are found: by the campaign's additionalData tag, by our
+// callIds in chunks, or by searching all of the agent's calls and filtering here
+const LOOKUP_STRATEGIES = ['auto', 'tag', 'ids', 'agent'];
+const CALL_ID_CHUNK_SIZE = 100;
+// Above this many calls a lookup by id costs more requests than searching the
+// agent's recent calls usually does; missing calls are confirmed by id in
+// chunks of this size
+const MAX_ID_LOOKUP_CALLS = 2000;
+// Statuses a call does not leave, so the id lookup stops asking for it
+const FINISHED_STATUSES = ['completed', 'failed', 'canceled', 'expired'];
 
 class CampaignWatcher {
-  constructor(campaign, apiUrl, apiKey) {
+  // options.lookup: one of LOOKUP_STRATEGIES (default 'auto')
+  constructor(campaign, apiUrl, apiKey, options = {}) {
     this.campaign = campaign;
+    this.campaignCallIds = new Set(campaign.callIds);
     this.apiUrl = apiUrl;
     this.apiKey = apiKey;
     this.callStates = new Map();
@@ -21,11 +43,14 @@ class CampaignWatcher {
       created: 0,
       failed: 0,
       canceled: 0,
+      expired: 0,
       unknown: 0,
       startTime: Date.now(),
       lastUpdateTime: Date.now()
     };
-    this.firstRun = true;
+    // Start (toDate) of the last successful search; the next poll fetches from
+    // here, so polls missed while paused or offline are caught up
+    this.pollCursor = null;
     this.agentName = null;
     this.agentSchedule = null;
     this.agentTimezone = null;
@@ -39,6 +64,14 @@ class CampaignWatcher {
     this.concurrencyMax = null;
     this.concurrencyLastFetchedAt = 0;
     this.concurrencyFetchError = null;
+    // Server reconciliation state (see syncWithServer)
+    this.missingCallIds = new Set();
+    this.lastSyncedAt = null;
+    this.syncError = null;
+    this.updateError = null;
+    this.lookupStrategy = this.resolveLookupStrategy(options.lookup || 'auto');
+    // Set when the server ignored the callIds filter and the lookup fell back
+    this.lookupFallback = false;
   }
 
   // Maps API callStatus values to internal lowercase status keys used in stats
@@ -55,7 +88,10 @@ class CampaignWatcher {
       case 'failed':
         return 'failed';
       case 'canceled':
+      case 'cancelled':
         return 'canceled';
+      case 'expired':
+        return 'expired';
       case 'created':
         return 'created';
       case 'pending':
@@ -65,9 +101,13 @@ class CampaignWatcher {
     }
   }
 
-  // Try to determine a stable campaign additionalData value to filter on
-  // We specifically look for the CSV-provided additionalData key: campaignId
+  // Try to determine a stable campaign additionalData value to filter on:
+  // the tag stamped by batch-call --tag-campaign, or else the CSV-provided
+  // additionalData key campaignId when every call shares one value
   getCampaignAdditionalDataFilter() {
+    if (this.campaign.tag) {
+      return { [`callAdditionalData.${CAMPAIGN_TAG_FIELD}`]: this.campaign.tag };
+    }
     try {
       const mapping = this.campaign.callMapping || {};
       const uniqueValues = new Set();
@@ -138,6 +178,38 @@ class CampaignWatcher {
     }
   }
 
+  // Pick the cheapest lookup: a shared tag narrows one search to our calls;
+  // otherwise small campaigns are looked up by id and large ones by agent
+  resolveLookupStrategy(requested) {
+    if (!LOOKUP_STRATEGIES.includes(requested)) {
+      throw new Error(`Unknown lookup strategy: ${requested} (use ${LOOKUP_STRATEGIES.join(', ')})`);
+    }
+    const hasFilter = Boolean(this.getCampaignAdditionalDataFilter());
+    if (requested === 'tag' && !hasFilter) {
+      throw new Error('This campaign has no shared tag or campaignId to look calls up by');
+    }
+    if (requested !== 'auto') return requested;
+    if (hasFilter) return 'tag';
+    return this.campaign.callIds.length <= MAX_ID_LOOKUP_CALLS ? 'ids' : 'agent';
+  }
+
+  getLookupDisplay() {
+    const fallback = this.lookupFallback ? ', server ignores call ids' : '';
+    switch (this.lookupStrategy) {
+      case 'tag':
+        return `by campaign tag (${Object.values(this.getCampaignAdditionalDataFilter())[0]}${fallback})`;
+      case 'ids':
+        return `by call id (${Math.ceil(this.getUnfinishedCallIds().length / CALL_ID_CHUNK_SIZE)} requests per refresh)`;
+      default:
+        return `all agent calls, filtered locally${fallback}`;
+    }
+  }
+
+  // Calls whose status can still change
+  getUnfinishedCallIds() {
+    return this.campaign.callIds.filter(callId => !FINISHED_STATUSES.includes(this.callStates.get(callId)?.status));
+  }
+
   debugLog(...args) {
     if (this.debug) {
       console.log(chalk.magenta('[debug]'), ...args);
@@ -147,40 +219,9 @@ class CampaignWatcher {
   // Returns the schedule array for a given three-letter day key (e.g., 'Mon'),
   // supporting various API day key styles like 'mon', 'monday', etc.
   getScheduleForDay(dayThreeLetter) {
-    if (!this.agentSchedule) return [];
-
-    // Direct exact match (e.g., 'Mon')
-    const direct = this.agentSchedule[dayThreeLetter];
-    if (Array.isArray(direct)) {
-      this.debugLog(`getScheduleForDay match: direct '${dayThreeLetter}' -> len=${direct.length}`);
-      return direct;
-    }
-
-    // Lowercase three-letter (e.g., 'mon')
-    const lowerAbbrev = this.agentSchedule[dayThreeLetter.toLowerCase()];
-    if (Array.isArray(lowerAbbrev)) {
-      this.debugLog(`getScheduleForDay match: lowerAbbrev '${dayThreeLetter.toLowerCase()}' -> len=${lowerAbbrev.length}`);
-      return lowerAbbrev;
-    }
-
-    // Full day names (e.g., 'monday')
-    const threeToFull = {
-      Sun: 'sunday',
-      Mon: 'monday',
-      Tue: 'tuesday',
-      Wed: 'wednesday',
-      Thu: 'thursday',
-      Fri: 'friday',
-      Sat: 'saturday'
-    };
-    const fullLower = this.agentSchedule[threeToFull[dayThreeLetter]];
-    if (Array.isArray(fullLower)) {
-      this.debugLog(`getScheduleForDay match: fullLower '${threeToFull[dayThreeLetter]}' -> len=${fullLower.length}`);
-      return fullLower;
-    }
-
-    this.debugLog(`getScheduleForDay: no match for '${dayThreeLetter}'`);
-    return [];
+    const ranges = getDaySchedule(this.agentSchedule, dayThreeLetter);
+    this.debugLog(`getScheduleForDay '${dayThreeLetter}' -> len=${ranges.length}`);
+    return ranges;
   }
 
   isWithinSchedule() {
@@ -346,105 +387,224 @@ class CampaignWatcher {
     return `${displayHour}:${minute.toString().padStart(2, '0')}${ampm}`;
   }
 
-  async update() {
-    if (this.isPaused) return;
+  // Paginate through callresults search for the given request body
+  async searchCallResults(baseBody) {
+    const allResults = [];
+    let currentPage = 0;
+    let totalPages = 1;
+    do {
+      const requestBody = { ...baseBody, page: currentPage };
+      const response = await axios.post(
+        `${this.apiUrl}/api/v1/callresults/search`,
+        requestBody,
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
 
-    try {
-      // Concurrency: throttle to every 10s
-      await this.updateConcurrency(false);
-      // Fetch recent calls using new callresults search API
-      const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-      const pageSize = 100;
-      const baseBody = {
-        page: 0,
-        size: pageSize,
-        fromDate: this.firstRun ? this.campaign.createdAt : fiveMinutesAgo.toISOString(),
-        toDate: new Date().toISOString(),
-        // Include broad set to track progress in real-time
-        callStatuses: ['Completed', 'Failed', 'Running', 'Queued', 'Canceled', 'Created'],
-        agentIds: [this.campaign.agentId],
-        includeAggregations: false,
-        sortDirection: 'Descending',
-        sortField: 'completedTime'
-      };
+      const data = response?.data || {};
+      const results = Array.isArray(data.results) ? data.results : [];
+      allResults.push(...results);
 
-      const additionalDataFilter = this.getCampaignAdditionalDataFilter();
-      if (additionalDataFilter) {
-        baseBody.additionalDataFilters = additionalDataFilter;
+      if (typeof data.totalPages === 'number' && isFinite(data.totalPages)) {
+        totalPages = data.totalPages;
+      } else if (typeof data.totalCount === 'number' && isFinite(data.totalCount)) {
+        totalPages = Math.max(1, Math.ceil(data.totalCount / SEARCH_PAGE_SIZE));
+      } else {
+        totalPages = currentPage + 1; // fail-safe to avoid infinite loop
       }
+      currentPage++;
+    } while (currentPage < totalPages);
+    return allResults;
+  }
 
-      // Paginate through all pages
-      const allResults = [];
-      let currentPage = 0;
-      let totalPages = 1;
-      do {
-        const requestBody = { ...baseBody, page: currentPage };
-        const response = await axios.post(
-          `${this.apiUrl}/api/v1/callresults/search`,
-          requestBody,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.apiKey}`,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-
-        const data = response?.data || {};
-        const results = Array.isArray(data.results) ? data.results : [];
-        allResults.push(...results);
-
-        if (typeof data.totalPages === 'number' && isFinite(data.totalPages)) {
-          totalPages = data.totalPages;
-        } else if (typeof data.totalCount === 'number' && isFinite(data.totalCount)) {
-          totalPages = Math.max(1, Math.ceil(data.totalCount / pageSize));
-        } else {
-          totalPages = currentPage + 1; // fail-safe to avoid infinite loop
+  buildSearchBody(fromDate, toDate = new Date().toISOString()) {
+    const baseBody = {
+      page: 0,
+      size: SEARCH_PAGE_SIZE,
+      fromDate,
+      toDate,
+      // Include broad set to track progress in real-time
+      callStatuses: SEARCH_CALL_STATUSES,
+      agentIds: [this.campaign.agentId],
+      includeAggregations: false,
+      sortDirection: 'Descending',
+      sortField: 'completedTime'
+    };
+
+    if (this.lookupStrategy === 'tag') {
+      baseBody.additionalDataFilters = this.getCampaignAdditionalDataFilter();
+    }
+    return baseBody;
+  }
+
+  // Search this campaign's call results changed between fromDate and toDate
+  // using the lookup strategy
+  async searchCampaignResults(fromDate, toDate) {
+    if (this.lookupStrategy !== 'ids') {
+      return this.searchCallResults(this.buildSearchBody(fromDate, toDate));
+    }
+    // Finished calls do not change again, so only the others are asked for
+    const results = await this.searchByCallIds(this.getUnfinishedCallIds(), fromDate, toDate);
+    if (results) return results;
+    // The server does not filter by callIds: use a search that does not need it
+    this.lookupStrategy = this.getCampaignAdditionalDataFilter() ? 'tag' : 'agent';
+    this.lookupFallback = true;
+    return this.searchCampaignResults(fromDate, toDate);
+  }
+
+  // Search the given calls by id in chunks, across every status and the whole
+  // window. Returns null when the server answers with calls outside a chunk,
+  // which means it did not filter by callIds
+  async searchByCallIds(callIds, fromDate, toDate) {
+    const { additionalDataFilters, ...body } = this.buildSearchBody(fromDate, toDate);
+    const allResults = [];
+    for (let i = 0; i < callIds.length; i += CALL_ID_CHUNK_SIZE) {
+      const chunk = callIds.slice(i, i + CALL_ID_CHUNK_SIZE);
+      const requested = new Set(chunk);
+      const results = await this.searchCallResults({ ...body, callIds: chunk });
+      if (results.some(result => !requested.has(result.callId))) {
+        this.debugLog('searchByCallIds: server ignored the callIds filter');
+        return null;
+      }
+      allResults.push(...results);
+    }
+    return allResults;
+  }
+
+  // A call absent from a search may have a status outside the filter, have
+  // slipped between pages or not be indexed yet, so it is only treated as gone
+  // when a lookup by its id misses it too. A server that does not filter by id
+  // leaves only the search since the campaign started, so then its absence
+  // there counts. Returns { missing, updates }: the confirmed missing ids and
+  // the status changes of the calls the lookup found.
+  async confirmMissingCalls(callIds, toDate) {
+    const results = [];
+    for (let i = 0; i < callIds.length && !this.lookupFallback; i += MAX_ID_LOOKUP_CALLS) {
+      const found = await this.searchByCallIds(callIds.slice(i, i + MAX_ID_LOOKUP_CALLS), this.campaign.createdAt, toDate);
+      if (!found) {
+        this.lookupFallback = true;
+        break;
+      }
+      results.push(...found);
+    }
+    const updates = this.applyResults(results);
+    return { missing: new Set(callIds.filter(callId => !this.callStates.has(callId))), updates };
+  }
+
+  // Apply search results belonging to this campaign to callStates.
+  // Returns the list of status change events for the activity feed.
+  applyResults(allResults) {
+    const updates = [];
+    allResults.forEach(result => {
+      // Map API result to internal call shape
+      const mappedCall = {
+        callId: result.callId,
+        endpoint: result.endpoint,
+        status: this.mapApiStatusToInternal(result.callStatus),
+        createdTime: result.createdTime,
+        completedTime: result.completedTime,
+        durationSeconds: result.durationSeconds,
+        serverJobId: result.serverJobId,
+        inspectorUrl: result.inspectorUrl || ''
+      };
+
+      // Keep strict association with our campaign calls
+      if (this.campaignCallIds.has(mappedCall.callId)) {
+        const prev = this.callStates.get(mappedCall.callId);
+        const isNewOrChanged = !prev || prev.status !== mappedCall.status;
+
+        if (isNewOrChanged) {
+          const endpoint = mappedCall.endpoint || prev?.endpoint || this.getEndpointFromCampaign(mappedCall.callId) || 'Unknown';
+          updates.push({
+            callId: mappedCall.callId,
+            endpoint: endpoint,
+            oldStatus: prev?.status,
+            newStatus: mappedCall.status,
+            timestamp: new Date(),
+            durationSeconds: mappedCall.durationSeconds
+          });
         }
-        currentPage++;
-      } while (currentPage < totalPages);
 
-      // Filter to our campaign and update states
-      const updates = [];
-      if (allResults.length > 0) {
-        allResults.forEach(result => {
-          // Map API result to internal call shape
-          const mappedCall = {
-            callId: result.callId,
-            endpoint: result.endpoint,
-            status: this.mapApiStatusToInternal(result.callStatus),
-            createdTime: result.createdTime,
-            completedTime: result.completedTime,
-            durationSeconds: result.durationSeconds,
-            serverJobId: result.serverJobId,
-            inspectorUrl: result.inspectorUrl || ''
-          };
-
-          // Keep strict association with our campaign calls
-          if (this.campaign.callIds.includes(mappedCall.callId)) {
-            const prev = this.callStates.get(mappedCall.callId);
-            const isNewOrChanged = !prev || prev.status !== mappedCall.status;
-
-            if (isNewOrChanged) {
-              const endpoint = mappedCall.endpoint || prev?.endpoint || this.getEndpointFromCampaign(mappedCall.callId) || 'Unknown';
-              updates.push({
-                callId: mappedCall.callId,
-                endpoint: endpoint,
-                oldStatus: prev?.status,
-                newStatus: mappedCall.status,
-                timestamp: new Date(),
-                durationSeconds: mappedCall.durationSeconds
-              });
-            }
-
-            // Store call with endpoint info
-            this.callStates.set(mappedCall.callId, {
-              ...mappedCall,
-              endpoint: mappedCall.endpoint || this.callStates.get(mappedCall.callId)?.endpoint || this.getEndpointFromCampaign(mappedCall.callId)
-            });
-          }
+        // A call seen on the server is no longer missing
+        this.missingCallIds.delete(mappedCall.callId);
+
+        // Store call with endpoint info
+        this.callStates.set(mappedCall.callId, {
+          ...mappedCall,
+          endpoint: mappedCall.endpoint || this.callStates.get(mappedCall.callId)?.endpoint || this.getEndpointFromCampaign(mappedCall.callId)
         });
       }
+    });
+    return updates;
+  }
+
+  /**
+   * Reconcile local campaign state with the server.
+   * Fetches every call since campaign creation and treats campaign calls the
+   * server no longer returns, even when looked up by id, as expired instead of
+   * still "created".
+   * Returns the status changes it found, calls newly counted as expired
+   * included, or null when falling back to local data.
+   */
+  async syncWithServer() {
+    try {
+      const toDate = new Date().toISOString();
+      const allResults = await this.searchCampaignResults(this.campaign.createdAt, toDate);
+      const updates = this.applyResults(allResults);
+      this.pollCursor = toDate;
+
+      const unseen = this.campaign.callIds.filter(callId => !this.callStates.has(callId));
+      const confirmed = await this.confirmMissingCalls(unseen, toDate);
+      updates.push(...confirmed.updates);
+      confirmed.missing.forEach(callId => {
+        if (this.missingCallIds.has(callId)) return;
+        updates.push({
+          callId,
+          endpoint: this.getEndpointFromCampaign(callId) || 'Unknown',
+          oldStatus: undefined,
+          newStatus: 'expired',
+          timestamp: new Date()
+        });
+      });
+      this.missingCallIds = confirmed.missing;
+
+      this.recalculateStats();
+      this.lastSyncedAt = Date.now();
+      this.syncError = null;
+      this.stats.lastUpdateTime = Date.now();
+      return updates;
+    } catch (error) {
+      this.syncError = error && error.response && error.response.status ? error.response.status : (error && error.message) || 'ERR';
+      return null;
+    }
+  }
+
+  // fromDate for the next poll: the cursor minus the overlap, never before the campaign
+  getPollFromDate() {
+    if (!this.pollCursor) return this.campaign.createdAt;
+    const from = new Date(new Date(this.pollCursor).getTime() - POLL_OVERLAP_MS);
+    const createdAt = new Date(this.campaign.createdAt);
+    return (from < createdAt ? createdAt : from).toISOString();
+  }
+
+  // Poll for recent call changes. Returns the status change events of this
+  // poll (empty when paused or when the request failed; see updateError).
+  async update() {
+    if (this.isPaused) return [];
+
+    try {
+      // Concurrency: throttle to every 10s
+      await this.updateConcurrency(false);
+      // Fetch what changed since the last successful poll (everything on the first)
+      const toDate = new Date().toISOString();
+      const allResults = await this.searchCampaignResults(this.getPollFromDate(), toDate);
+
+      // Filter to our campaign and update states
+      const updates = this.applyResults(allResults);
 
       // Update activity feed (keep last 10)
       if (updates.length > 0) {
@@ -455,10 +615,14 @@ class CampaignWatcher {
       // Recalculate stats
       this.recalculateStats();
       
-      this.firstRun = false;
+      this.pollCursor = toDate;
       this.stats.lastUpdateTime = Date.now();
+      this.updateError = null;
+      return updates;
     } catch (error) {
+      this.updateError = error.message;
       console.error(chalk.red('Error fetching updates:', error.message));
+      return [];
     }
   }
 
@@ -546,17 +710,26 @@ class CampaignWatcher {
       }
     });
 
+    // Calls the server confirmed it no longer knows about are counted as expired
+    this.stats.expired += this.missingCallIds.size;
+
     // Count unprocessed calls as 'created'
-    const processedCount = this.callStates.size;
-    const unprocessedCount = this.campaign.totalCalls - processedCount;
+    const processedCount = this.callStates.size + this.missingCallIds.size;
+    const unprocessedCount = Math.max(0, this.campaign.totalCalls - processedCount);
     this.stats.created += unprocessedCount;
   }
 
+  // Number of calls still part of the campaign (excludes canceled/expired)
+  getActiveTotal() {
+    return Math.max(0, this.campaign.totalCalls - this.stats.canceled - this.stats.expired);
+  }
+
   getProgress() {
     const completed = this.stats.completed;
-    const total = this.campaign.totalCalls;
+    const total = this.getActiveTotal();
+    const original = this.campaign.totalCalls;
     const percentage = total > 0 ? (completed / total) * 100 : 0;
-    return { completed, total, percentage };
+    return { completed, total, original, percentage };
   }
 
   getCallsPerMinute() {
@@ -569,7 +742,7 @@ class CampaignWatcher {
     const rate = this.getCallsPerMinute();
     if (rate === 0) return 'calculating...';
     
-    const remaining = this.campaign.totalCalls - this.stats.completed;
+    const remaining = this.getActiveTotal() - this.stats.completed;
     const minutes = Math.ceil(remaining / rate);
     
     if (minutes > 60) {
@@ -606,7 +779,7 @@ class CampaignWatcher {
       if (!processedIds.has(callId)) {
         results.push({
           endpoint: '',
-          status: 'created',
+          status: this.missingCallIds.has(callId) ? 'expired' : 'created',
           callId: callId,
           createdTime: '',
           completedTime: '',
@@ -634,6 +807,11 @@ class CampaignWatcher {
     return progress.completed >= progress.total;
   }
 
+  // No call left waiting or in progress; failed calls count as done
+  isFinished() {
+    return this.stats.completed + this.stats.failed >= this.getActiveTotal();
+  }
+
   getEndpointFromCampaign(callId) {
     // Get endpoint from campaign mapping if available
     if (this.campaign.callMapping && this.campaign.callMapping[callId]) {
@@ -650,4 +828,5 @@ class CampaignWatcher {
   }
 }
 
-module.exports = CampaignWatcher;
\ No newline at end of file
+module.exports = CampaignWatcher;
+module.exports.LOOKUP_STRATEGIES = LOOKUP_STRATEGIES;
\ No newline at end of file
@@ -0,0 +1,132 @@
+const fs = require('fs');
+
+// Map CSV headers onto the fields batch-call understands. Explicit mappings
+// (--map, --map-file) win; remaining fields are found through built-in,
+// case-insensitive aliases.
+
+const FIELD_ALIASES = {
+  endpoint: ['endpoint', 'phone', 'phone_number', 'phonenumber', 'phone_no', 'mobile', 'mobile_number', 'msisdn', 'number'],
+  priority: ['priority'],
+  deadline: ['deadline', 'call_deadline', 'due_by', 'due_date', 'due'],
+  timezone: ['timezone', 'time_zone', 'tz'],
+  country: ['country', 'country_code']
+};
+
+const MAPPABLE_FIELDS = Object.keys(FIELD_ALIASES);
+
+/**
+ * Header comparison key: case-insensitive, spaces, dashes and underscores alike.
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+function checkField(field, source) {
+  if (!MAPPABLE_FIELDS.includes(field)) {
+    throw new Error(`Unknown field "${field}" in ${source} (expected one of ${MAPPABLE_FIELDS.join(', ')})`);
+  }
+}
+
+/**
+ * Parse "--map endpoint=Phone,deadline=due_by" into { endpoint: 'Phone', deadline: 'due_by' }.
+ */
+function parseMapOption(value) {
+  const mapping = {};
+  if (!value) return mapping;
+  for (const pair of String(value).split(',')) {
+    if (!pair.trim()) continue;
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      throw new Error(`Invalid --map entry "${pair.trim()}" (expected field=column)`);
+    }
+    const field = pair.slice(0, index).trim().toLowerCase();
+    const column = pair.slice(index + 1).trim();
+    checkField(field, '--map');
+    if (!column) {
+      throw new Error(`Missing column name for "${field}" in --map`);
+    }
+    mapping[field] = column;
+  }
+  return mapping;
+}
+
+/**
+ * Load a saved mapping: a JSON object of field -> column name.
+ */
+function loadMappingFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Mapping file not found: ${file}`);
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Mapping file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Mapping file ${file} must contain a JSON object of field: column`);
+  }
+  const mapping = {};
+  for (const [field, column] of Object.entries(data)) {
+    const key = field.trim().toLowerCase();
+    checkField(key, file);
+    if (typeof column !== 'string' || !column.trim()) {
+      throw new Error(`Column for "${field}" in ${file} must be a non-empty string`);
+    }
+    mapping[key] = column.trim();
+  }
+  return mapping;
+}
+
+function saveMappingFile(file, mapping) {
+  fs.writeFileSync(file, JSON.stringify(mapping, null, 2) + '\n');
+}
+
+/**
+ * Resolve which header supplies each field. Returns { field: header }.
+ * Throws when an explicitly mapped column is missing or one column is mapped twice.
+ */
+function resolveColumnMap(headers, explicit = {}) {
+  const byKey = new Map();
+  headers.forEach(header => {
+    const key = normalizeHeader(header);
+    if (!byKey.has(key)) byKey.set(key, header);
+  });
+
+  const columnMap = {};
+  const used = new Map();
+  for (const [field, column] of Object.entries(explicit)) {
+    const header = headers.includes(column) ? column : byKey.get(normalizeHeader(column));
+    if (!header) {
+      throw new Error(`Column "${column}" mapped to ${field} was not found in the CSV header`);
+    }
+    if (used.has(header)) {
+      throw new Error(`Column "${header}" is mapped to both ${used.get(header)} and ${field}`);
+    }
+    columnMap[field] = header;
+    used.set(header, field);
+  }
+
+  for (const field of MAPPABLE_FIELDS) {
+    if (columnMap[field]) continue;
+    // Aliases are listed in preference order, so an exact "endpoint" beats "phone"
+    for (const alias of FIELD_ALIASES[field]) {
+      const header = byKey.get(alias);
+      if (header && !used.has(header)) {
+        columnMap[field] = header;
+        used.set(header, field);
+        break;
+      }
+    }
+  }
+  return columnMap;
+}
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  normalizeHeader,
+  parseMapOption,
+  loadMappingFile,
+  saveMappingFile,
+  resolveColumnMap
+};
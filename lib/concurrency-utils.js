@@ -42,10 +42,38 @@ function getConcurrencyStatusMessage(active, concurrency) {
   return 'Healthy utilization.';
 }
 
+/**
+ * Adaptive batch pacing based on the current concurrency level:
+ * - 'critical' pauses sending; re-check after pauseMs
+ * - 'warning' doubles the delay (at least 1s, capped at maxDelay)
+ * - 'healthy' halves the delay back towards the configured baseDelay
+ * - 'disabled' or unknown keeps the current delay
+ * Returns { state: 'paused' | 'slowed' | 'recovering' | 'normal' | 'unknown', delay }.
+ */
+function getThrottleDecision(level, currentDelay, baseDelay, options = {}) {
+  const maxDelay = Math.max(options.maxDelay || 30000, baseDelay);
+  const pauseMs = options.pauseMs || 10000;
+  switch (level) {
+    case 'critical':
+      return { state: 'paused', delay: pauseMs };
+    case 'warning':
+      return { state: 'slowed', delay: Math.min(maxDelay, Math.max(currentDelay * 2, 1000)) };
+    case 'healthy': {
+      const delay = Math.max(baseDelay, Math.floor(currentDelay / 2));
+      return { state: delay > baseDelay ? 'recovering' : 'normal', delay };
+    }
+    case 'disabled':
+      return { state: currentDelay > baseDelay ? 'slowed' : 'normal', delay: currentDelay };
+    default:
+      return { state: 'unknown', delay: currentDelay };
+  }
+}
+
 module.exports = {
   calculateUtilizationPct,
   getConcurrencyLevel,
-  getConcurrencyStatusMessage
+  getConcurrencyStatusMessage,
+  getThrottleDecision
 };
 
 
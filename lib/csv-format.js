@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+
+// Detect and reproduce the layout of a CSV file (delimiter, quoting, line
+// endings, BOM) so processed output can be written back in the same format.
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const SNIFF_BYTES = 64 * 1024;
+const BOM = '\uFEFF';
+
+// Columns batch-call adds to the processed CSV; ignored when the file is read back
+const GENERATED_COLUMNS = ['normalized_endpoint', 'error_message'];
+
+/**
+ * Split a CSV line into raw fields, honouring quotes. Quotes are kept.
+ */
+function splitRawFields(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+  for (const ch of line) {
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (ch === delimiter && !inQuotes) {
+      fields.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  fields.push(current);
+  return fields;
+}
+
+function countUnquoted(line, ch) {
+  return splitRawFields(line, ch).length - 1;
+}
+
+/**
+ * Detect the format of CSV text from its header line.
+ * Returns { delimiter, quoteAll, newline, bom }.
+ */
+function detectCsvFormatFromText(text) {
+  const bom = text.startsWith(BOM);
+  const body = bom ? text.slice(1) : text;
+  const lineEnd = body.search(/\r?\n/);
+  const headerLine = lineEnd === -1 ? body : body.slice(0, lineEnd);
+  const newline = lineEnd !== -1 && body[lineEnd] === '\r' ? '\r\n' : '\n';
+
+  let delimiter = ',';
+  let best = 0;
+  for (const candidate of DELIMITERS) {
+    const count = countUnquoted(headerLine, candidate);
+    if (count > best) {
+      best = count;
+      delimiter = candidate;
+    }
+  }
+
+  const fields = splitRawFields(headerLine, delimiter).map(f => f.trim());
+  const quoteAll = fields.length > 0 && fields.every(f => f.length >= 2 && f.startsWith('"') && f.endsWith('"'));
+
+  return { delimiter, quoteAll, newline, bom };
+}
+
+/**
+ * Detect the format of a CSV file by reading its first bytes.
+ */
+function detectCsvFormat(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return detectCsvFormatFromText(buffer.slice(0, bytesRead).toString('utf8'));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Stream that drops a leading UTF-8 BOM. csv-parser would otherwise keep it in
+ * the first header, breaking quoted headers.
+ */
+function createBomStripper() {
+  let first = true;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (first) {
+        first = false;
+        if (chunk[0] === 0xef && chunk[1] === 0xbb && chunk[2] === 0xbf) {
+          chunk = chunk.slice(3);
+        }
+      }
+      callback(null, chunk);
+    }
+  });
+}
+
+/**
+ * Format one field. Embedded quotes are doubled; the field is quoted when the
+ * format quotes everything or the value needs it.
+ */
+function formatCsvField(value, format = {}) {
+  const delimiter = format.delimiter || ',';
+  const str = value === undefined || value === null ? '' : String(value);
+  const needsQuotes = str.includes('"') || str.includes(delimiter) || /[\r\n]/.test(str) || /^\s|\s$/.test(str);
+  if (!format.quoteAll && !needsQuotes) {
+    return str;
+  }
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+function formatCsvRow(values, format = {}) {
+  return values.map(value => formatCsvField(value, format)).join(format.delimiter || ',');
+}
+
+/**
+ * Where the processed CSV goes: --output, the input itself with --in-place,
+ * otherwise a sibling "<name>.processed<ext>" file.
+ */
+function getProcessedCsvPath(csvFile, options = {}) {
+  if (options.output) return options.output;
+  if (options.inPlace) return csvFile;
+  const ext = path.extname(csvFile);
+  const base = path.basename(csvFile, ext);
+  return path.join(path.dirname(csvFile), `${base}.processed${ext || '.csv'}`);
+}
+
+/**
+ * Report files for a run: "<name>.rejected.csv" and "<name>.enrolled.csv" next
+ * to the input, or rejected.csv and enrolled.csv inside --report-dir.
+ * reportExt switches the extension for non-CSV input (e.g. ".json").
+ */
+function getReportPaths(csvFile, options = {}, reportExt = '.csv') {
+  if (options.reportDir) {
+    return {
+      rejected: path.join(options.reportDir, `rejected${reportExt}`),
+      enrolled: path.join(options.reportDir, `enrolled${reportExt}`)
+    };
+  }
+  const ext = path.extname(csvFile);
+  const base = path.join(path.dirname(csvFile), path.basename(csvFile, ext));
+  return {
+    rejected: `${base}.rejected${reportExt}`,
+    enrolled: `${base}.enrolled${reportExt}`
+  };
+}
+
+module.exports = {
+  GENERATED_COLUMNS,
+  detectCsvFormat,
+  detectCsvFormatFromText,
+  createBomStripper,
+  formatCsvField,
+  formatCsvRow,
+  getProcessedCsvPath,
+  getReportPaths
+};
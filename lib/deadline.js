@@ -0,0 +1,109 @@
+const { getSystemTimezone, getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+// Call deadlines. Accepts timestamps with a zone ("2025-05-01T18:00:00Z"),
+// wall-clock times read in the row's timezone ("2025-05-01 18:00"), and
+// relative expressions ("+36h", "+1d12h", "end of day", "tomorrow 09:30").
+
+const MAX_DEADLINE_DAYS = 7;
+const DEFAULT_DEADLINE = '+24h';
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const RELATIVE_PATTERN = /^\+\s*((?:\d+(?:\.\d+)?\s*[mhd]\s*)+)$/i;
+const RELATIVE_PART = /(\d+(?:\.\d+)?)\s*([mhd])/gi;
+const LOCAL_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+const DAY_PATTERN = /^(?:end of\s+)?(day|today|eod|tomorrow|week|eow)(?:\s+(\d{1,2}):(\d{2}))?$/i;
+
+// Days from today for each day keyword; "week" ends on Sunday
+function getDayOffset(keyword, weekday) {
+  switch (keyword) {
+    case 'tomorrow':
+      return 1;
+    case 'week':
+    case 'eow':
+      return (7 - ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday)) % 7;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Resolve a deadline expression to an instant, without range checks.
+ * Throws "Invalid deadline format" for anything unrecognised.
+ */
+function resolveDeadline(text, { timezone = getSystemTimezone(), now = new Date() } = {}) {
+  const value = String(text).trim();
+  const lower = value.toLowerCase().replace(/\s+/g, ' ');
+
+  const relative = lower.match(RELATIVE_PATTERN);
+  if (relative) {
+    let ms = 0;
+    for (const [, amount, unit] of relative[1].matchAll(RELATIVE_PART)) {
+      ms += Number(amount) * UNIT_MS[unit];
+    }
+    return new Date(now.getTime() + ms);
+  }
+
+  const keyword = lower.match(DAY_PATTERN);
+  if (keyword) {
+    const today = getZonedParts(now, timezone);
+    const [, name, hour, minute] = keyword;
+    const offset = getDayOffset(name, today.weekday);
+    // Without a time the deadline is the end of that day
+    return zonedTimeToUtc({
+      year: today.year,
+      month: today.month,
+      day: today.day + offset,
+      hour: hour !== undefined ? Number(hour) : 23,
+      minute: minute !== undefined ? Number(minute) : 59,
+      second: hour !== undefined ? 0 : 59
+    }, timezone);
+  }
+
+  // A date or date-time without a zone is wall-clock time in the row's timezone
+  const local = value.match(LOCAL_PATTERN);
+  if (local) {
+    const [, year, month, day, hour, minute, second] = local;
+    const dateOnly = hour === undefined;
+    return zonedTimeToUtc({
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: dateOnly ? 23 : Number(hour),
+      minute: dateOnly ? 59 : Number(minute),
+      second: dateOnly ? 59 : Number(second || 0)
+    }, timezone);
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid deadline format: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parse a row's deadline and check it is within the allowed range.
+ * An empty value uses defaultDeadline (itself an expression, "+24h" if unset).
+ * Returns an ISO timestamp.
+ */
+function parseDeadline(value, options = {}) {
+  const text = value && String(value).trim() ? String(value).trim() : (options.defaultDeadline || DEFAULT_DEADLINE);
+  const now = options.now || new Date();
+  const deadline = resolveDeadline(text, { ...options, now });
+
+  if (deadline < now) {
+    throw new Error(`Deadline is in the past: ${text}`);
+  }
+  const latest = new Date(now.getTime() + MAX_DEADLINE_DAYS * UNIT_MS.d);
+  if (deadline > latest) {
+    throw new Error(`Deadline is more than ${MAX_DEADLINE_DAYS} days in future: ${text}`);
+  }
+  return deadline.toISOString();
+}
+
+module.exports = {
+  MAX_DEADLINE_DAYS,
+  DEFAULT_DEADLINE,
+  resolveDeadline,
+  parseDeadline
+};
@@ -0,0 +1,56 @@
+// Duplicate endpoint detection within a single CSV file.
+// Rows are grouped on their normalized endpoint and a policy picks which copy is sent.
+
+const DUPLICATE_POLICIES = ['first', 'last', 'priority', 'reject'];
+
+/**
+ * Choose which rows to drop.
+ * rows: [{ row, call: { endpoint, priority } }] in file order.
+ * Returns a Map of dropped row -> row number it duplicates.
+ *
+ * - first: keep the first copy
+ * - last: keep the last copy
+ * - priority: keep the copy with the highest priority (first one on ties)
+ * - reject: drop every copy
+ */
+function findDuplicateRows(rows, policy = 'first') {
+  if (!DUPLICATE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown duplicate policy: ${policy} (expected one of ${DUPLICATE_POLICIES.join(', ')})`);
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row.call.endpoint;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+
+  const dropped = new Map();
+  for (const group of groups.values()) {
+    if (group.length < 2) continue;
+
+    if (policy === 'reject') {
+      // Point every copy at another one so each row names a real duplicate
+      group.forEach((row, index) => {
+        dropped.set(row, (index === 0 ? group[1] : group[0]).row);
+      });
+      continue;
+    }
+
+    let keep = group[0];
+    if (policy === 'last') {
+      keep = group[group.length - 1];
+    } else if (policy === 'priority') {
+      keep = group.reduce((best, row) => ((row.call.priority || 0) > (best.call.priority || 0) ? row : best));
+    }
+    group.forEach(row => {
+      if (row !== keep) dropped.set(row, keep.row);
+    });
+  }
+  return dropped;
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  findDuplicateRows
+};
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable, PassThrough } = require('stream');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { createBomStripper, detectCsvFormatFromText, formatCsvRow } = require('./csv-format');
+
+// Input files for batch-call: CSV, JSON (array of objects), NDJSON (one object
+// per line) and XLSX (first worksheet, header row first). Every format is read
+// as a stream of row objects so validation is shared, and output files
+// (processed copy, reports) are written back in the same format.
+
+const INPUT_FORMATS = ['csv', 'json', 'ndjson', 'xlsx'];
+
+const EXTENSION_FORMATS = {
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.xlsx': 'xlsx'
+};
+
+const FORMAT_EXTENSIONS = {
+  csv: '.csv',
+  json: '.json',
+  ndjson: '.ndjson',
+  xlsx: '.xlsx'
+};
+
+// Workbooks are loaded whole, so larger ones are refused; CSV and NDJSON
+// are streamed and have no limit
+const MAX_WORKBOOK_BYTES = 50 * 1024 * 1024;
+
+// Input file name that reads from standard input
+const STDIN = '-';
+
+// Set on a row that could not be read (e.g. a malformed NDJSON line); the
+// message is reported through the row's error like a validation failure
+const ROW_ERROR = Symbol('rowError');
+
+/**
+ * Input format from --format, falling back to the file extension (CSV when unknown).
+ */
+function detectInputFormat(file, explicit) {
+  if (explicit) {
+    const format = String(explicit).toLowerCase();
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new Error(`Unknown input format: ${explicit} (expected one of ${INPUT_FORMATS.join(', ')})`);
+    }
+    return format;
+  }
+  return EXTENSION_FORMATS[path.extname(String(file)).toLowerCase()] || 'csv';
+}
+
+function isStdin(file) {
+  return file === STDIN;
+}
+
+function openInput(file) {
+  return isStdin(file) ? process.stdin : fs.createReadStream(file);
+}
+
+/**
+ * Read a whole input into a Buffer (JSON and XLSX cannot be parsed row by row).
+ * Rejects inputs larger than maxBytes without reading them in full.
+ */
+function readInput(file, maxBytes = Infinity) {
+  const name = isStdin(file) ? 'stdin' : file;
+  const tooLarge = () => new Error(`${name} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB; split it or save it as CSV`);
+  if (!isStdin(file)) {
+    if (fs.statSync(file).size > maxBytes) {
+      return Promise.reject(tooLarge());
+    }
+    return Promise.resolve(fs.readFileSync(file));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        process.stdin.removeListener('data', onData);
+        process.stdin.pause();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    process.stdin
+      .on('data', onData)
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .on('error', reject);
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Stream of row objects that emits 'headers' before the first row, like csv-parser.
+ * file may be "-" for standard input. CSV and NDJSON are parsed as they are read
+ * and respect backpressure; onBytes, when given, is called with each chunk size.
+ */
+function createRowStream(file, format = 'csv', csvFormat = {}, onBytes = null) {
+  if (format === 'csv' || format === 'ndjson') {
+    const input = openInput(file);
+    if (onBytes) {
+      input.on('data', chunk => onBytes(chunk.length));
+    }
+    if (format === 'ndjson') {
+      return createNdjsonStream(input);
+    }
+    if (isStdin(file) && !csvFormat.delimiter) {
+      return createSniffingCsvStream(input, csvFormat);
+    }
+    return input
+      .pipe(createBomStripper())
+      .pipe(csv({ separator: csvFormat.delimiter || ',' }));
+  }
+
+  const stream = new Readable({ objectMode: true, read() {} });
+  let headersSent = false;
+  const sendHeaders = (headers) => {
+    if (!headersSent) {
+      headersSent = true;
+      stream.emit('headers', headers);
+    }
+  };
+  const fail = (error) => stream.destroy(error);
+
+  // JSON and XLSX are read whole, always asynchronously so listeners are attached
+  const maxBytes = format === 'xlsx' ? MAX_WORKBOOK_BYTES : Infinity;
+  readInput(file, maxBytes).then(async (buffer) => {
+    let rows;
+    try {
+      rows = format === 'json' ? parseJsonRows(buffer, file) : await parseXlsxRows(buffer, file);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    const headers = [];
+    rows.forEach(row => {
+      if (row[ROW_ERROR]) return;
+      Object.keys(row).forEach(key => {
+        if (!headers.includes(key)) headers.push(key);
+      });
+    });
+    sendHeaders(headers);
+    rows.forEach(row => stream.push(row));
+    stream.push(null);
+  }, fail);
+  return stream;
+}
+
+/**
+ * NDJSON rows from a byte stream. Reading pauses while the consumer is behind.
+ */
+function createNdjsonStream(input) {
+  let lines = null;
+  const stream = new Readable({
+    objectMode: true,
+    read() {
+      if (lines) lines.resume();
+    }
+  });
+  let headersSent = false;
+  const sendHeaders = (headers) => {
+    if (!headersSent) {
+      headersSent = true;
+      stream.emit('headers', headers);
+    }
+  };
+  const push = (row) => {
+    if (!stream.push(row)) lines.pause();
+  };
+
+  lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let lineNumber = 0;
+  lines.on('line', (line) => {
+    lineNumber++;
+    const text = lineNumber === 1 ? line.replace(/^\uFEFF/, '') : line;
+    if (!text.trim()) return;
+    let row;
+    try {
+      row = JSON.parse(text);
+    } catch (error) {
+      sendHeaders([]);
+      push({ [ROW_ERROR]: `Invalid JSON on line ${lineNumber}: ${error.message}` });
+      return;
+    }
+    if (!isPlainObject(row)) {
+      sendHeaders([]);
+      push({ [ROW_ERROR]: `Line ${lineNumber} is not a JSON object` });
+      return;
+    }
+    sendHeaders(Object.keys(row));
+    push(row);
+  });
+  lines.on('close', () => {
+    sendHeaders([]);
+    stream.push(null);
+  });
+  input.on('error', error => stream.destroy(error));
+  return stream;
+}
+
+/**
+ * CSV from a stream whose layout is unknown up front: the delimiter is detected
+ * from the first chunk and copied into csvFormat for writing reports.
+ */
+function createSniffingCsvStream(input, csvFormat) {
+  const output = new PassThrough({ objectMode: true });
+  const onEnd = () => {
+    output.emit('headers', []);
+    output.end();
+  };
+  input.once('end', onEnd);
+  input.once('data', (chunk) => {
+    input.pause();
+    input.removeListener('end', onEnd);
+    Object.assign(csvFormat, detectCsvFormatFromText(chunk.toString('utf8')));
+    const stripper = createBomStripper();
+    const parser = csv({ separator: csvFormat.delimiter });
+    parser
+      .on('headers', headers => output.emit('headers', headers))
+      .on('error', error => output.destroy(error));
+    stripper.pipe(parser).pipe(output);
+    stripper.write(chunk);
+    input.pipe(stripper);
+  });
+  input.on('error', error => output.destroy(error));
+  return output;
+}
+
+function parseJsonRows(buffer, file) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const name = isStdin(file) ? 'stdin' : file;
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(data)) {
+    throw new Error(`${name} must contain a JSON array of call objects`);
+  }
+  return data.map((row, index) => (isPlainObject(row)
+    ? row
+    : { [ROW_ERROR]: `Item ${index + 1} is not a JSON object` }));
+}
+
+// Cell value as text, like a CSV field; dates become ISO timestamps without a zone
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().replace(/\.\d{3}Z$/, '');
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if ('result' in value) return cellText(value.result); // formula
+  if ('text' in value) return cellText(value.text); // hyperlink
+  if ('error' in value) return String(value.error);
+  return '';
+}
+
+async function parseXlsxRows(buffer, file) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`${isStdin(file) ? 'stdin' : file} is not a valid XLSX workbook: ${error.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // First row names the columns; repeated names get a _1, _2... suffix
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    const name = cellText(cell.value).trim();
+    if (!name) return;
+    let header = name;
+    for (let n = 1; headers.includes(header); n++) header = `${name}_${n}`;
+    headers[column] = header;
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    let blank = true;
+    headers.forEach((header, column) => {
+      if (!header) return;
+      record[header] = cellText(row.getCell(column).value);
+      if (record[header] !== '') blank = false;
+    });
+    if (!blank) rows.push(record);
+  });
+  return rows;
+}
+
+/**
+ * Write records (objects keyed by header) in the given format.
+ * CSV keeps the detected layout (delimiter, quoting, line endings, BOM);
+ * nested values are JSON encoded in CSV and XLSX cells.
+ * Resolves once the file is written.
+ */
+async function writeRecords(file, format, headers, records, csvFormat = {}) {
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    return isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : value;
+  };
+
+  switch (format) {
+    case 'json':
+      fs.writeFileSync(file, JSON.stringify(records, null, 2) + '\n');
+      return;
+    case 'ndjson':
+      fs.writeFileSync(file, records.map(record => JSON.stringify(record) + '\n').join(''));
+      return;
+    case 'xlsx': {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Sheet1');
+      sheet.addRow(headers);
+      records.forEach(record => sheet.addRow(headers.map(header => cell(record[header]))));
+      await workbook.xlsx.writeFile(file);
+      return;
+    }
+    default: {
+      const newline = csvFormat.newline || '\n';
+      let content = (csvFormat.bom ? '\uFEFF' : '') + formatCsvRow(headers, csvFormat) + newline;
+      records.forEach(record => {
+        content += formatCsvRow(headers.map(header => cell(record[header])), csvFormat) + newline;
+      });
+      fs.writeFileSync(file, content);
+    }
+  }
+}
+
+/**
+ * Append records one at a time, for output that should not be held in memory.
+ * Supports CSV and NDJSON; returns { write(record), close() }.
+ */
+function createRecordWriter(file, format, headers, csvFormat = {}) {
+  if (format !== 'csv' && format !== 'ndjson') {
+    throw new Error(`Cannot write ${format} output incrementally`);
+  }
+  const fd = fs.openSync(file, 'w');
+  const newline = csvFormat.newline || '\n';
+  const cell = (value) => (isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : value);
+  if (format === 'csv') {
+    fs.writeSync(fd, (csvFormat.bom ? '\uFEFF' : '') + formatCsvRow(headers, csvFormat) + newline);
+  }
+  return {
+    write(record) {
+      fs.writeSync(fd, format === 'ndjson'
+        ? JSON.stringify(record) + '\n'
+        : formatCsvRow(headers.map(header => cell(record[header])), csvFormat) + newline);
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  FORMAT_EXTENSIONS,
+  MAX_WORKBOOK_BYTES,
+  ROW_ERROR,
+  STDIN,
+  isStdin,
+  detectInputFormat,
+  isPlainObject,
+  createRowStream,
+  writeRecords,
+  createRecordWriter
+};
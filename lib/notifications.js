@@ -0,0 +1,235 @@
+const axios = require('axios');
+const { spawn } = require('child_process');
+const { withRetry } = require('./retry');
+const { getConcurrencyLevel } = require('./concurrency-utils');
+
+// Campaign milestone notifications for watch: a JSON POST to --notify-url
+// and/or a local command (--on-event) when a milestone is reached.
+
+const NOTIFY_EVENTS = ['complete', 'failure-rate', 'concurrency-critical', 'outside-schedule', 'stalled'];
+
+// Finished calls needed before the failure rate is judged
+const MIN_FAILURE_SAMPLE = 10;
+
+const COMMAND_TIMEOUT_MS = 30000;
+
+/**
+ * Parse a comma-separated --notify-on list. Throws for unknown event names.
+ */
+function parseNotifyEvents(value) {
+  if (!value) return NOTIFY_EVENTS.slice();
+  const events = String(value).split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = events.filter(name => !NOTIFY_EVENTS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown notification event: ${unknown.join(', ')} (use ${NOTIFY_EVENTS.join(', ')})`);
+  }
+  return events;
+}
+
+/**
+ * Milestones whose condition holds for the watcher right now, keyed by event
+ * name with the details to include in the notification.
+ * stalledSince is when completed + failed last changed.
+ */
+function getActiveMilestones(watcher, { failureThreshold, stallMinutes, stalledSince, now }) {
+  const milestones = {};
+  const { completed, failed } = watcher.stats;
+  const finished = watcher.isFinished();
+
+  if (finished) {
+    milestones.complete = {
+      message: watcher.isComplete() ? 'Campaign complete' : `Campaign finished with ${failed} failed calls`,
+      allCompleted: watcher.isComplete()
+    };
+  }
+
+  const failureRate = completed + failed > 0 ? (failed / (completed + failed)) * 100 : 0;
+  if (completed + failed >= MIN_FAILURE_SAMPLE && failureRate >= failureThreshold) {
+    milestones['failure-rate'] = {
+      message: `Failure rate ${failureRate.toFixed(0)}% is at or above ${failureThreshold}%`,
+      failureRate: Math.round(failureRate * 10) / 10,
+      threshold: failureThreshold
+    };
+  }
+
+  if (!watcher.concurrencyFetchError && getConcurrencyLevel(watcher.concurrencyActive || 0, watcher.concurrencyMax || 0) === 'critical') {
+    milestones['concurrency-critical'] = {
+      message: `Concurrency critical: ${watcher.concurrencyActive} of ${watcher.concurrencyMax} slots in use`,
+      active: watcher.concurrencyActive,
+      max: watcher.concurrencyMax
+    };
+  }
+
+  const schedule = watcher.isWithinSchedule();
+  if (!schedule.isOpen) {
+    milestones['outside-schedule'] = {
+      message: `Agent is outside its schedule window; calls paused until ${schedule.nextWindow}`,
+      nextWindow: schedule.nextWindow
+    };
+  }
+
+  // Calls do not progress outside working hours, so that is not a stall
+  const stalledMinutes = (now - stalledSince) / 60000;
+  if (!finished && schedule.isOpen && stalledMinutes >= stallMinutes) {
+    milestones.stalled = {
+      message: `No progress for ${Math.floor(stalledMinutes)} minutes`,
+      minutes: Math.floor(stalledMinutes)
+    };
+  }
+  return milestones;
+}
+
+/**
+ * Run the --on-event command with the payload on stdin and in
+ * BLACKBOX_EVENT / BLACKBOX_CAMPAIGN / BLACKBOX_EVENT_JSON.
+ * Resolves when it exits; rejects on a non-zero exit, a signal or timeout.
+ * The command runs in its own process group so a timeout stops everything
+ * the shell started, not just the shell.
+ */
+function runEventCommand(command, payload, timeoutMs = COMMAND_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const json = JSON.stringify(payload);
+    const ownGroup = process.platform !== 'win32';
+    const child = spawn(command, {
+      shell: true,
+      detached: ownGroup,
+      stdio: ['pipe', 'ignore', 'ignore'],
+      env: {
+        ...process.env,
+        BLACKBOX_EVENT: payload.event,
+        BLACKBOX_CAMPAIGN: payload.campaign.campaignId,
+        BLACKBOX_EVENT_JSON: json
+      }
+    });
+    const timer = setTimeout(() => {
+      try {
+        if (ownGroup) {
+          process.kill(-child.pid, 'SIGTERM');
+        } else {
+          child.kill();
+        }
+      } catch (_) {
+        // Already gone
+      }
+      reject(new Error(`command timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('exit', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else if (signal) {
+        reject(new Error(`command was killed by ${signal}`));
+      } else {
+        reject(new Error(`command exited with code ${code}`));
+      }
+    });
+    // The command may not read stdin
+    child.stdin.on('error', () => {});
+    child.stdin.end(json);
+  });
+}
+
+/**
+ * Notifier for watch. check(watcher) compares the watcher's state with the
+ * previous check and sends each milestone once when it is reached; a milestone
+ * is sent again only after its condition has cleared. Delivery failures are
+ * kept in lastError instead of being thrown.
+ */
+function createNotifier(options) {
+  const {
+    notifyUrl,
+    onEvent,
+    events = NOTIFY_EVENTS,
+    failureThreshold = 20,
+    stallMinutes = 15,
+    retries = 2
+  } = options;
+  const reached = new Set();
+  let finishedCount = null;
+  let stalledSince = Date.now();
+
+  const deliver = async (payload) => {
+    const errors = [];
+    if (notifyUrl) {
+      try {
+        await withRetry(() => axios.post(notifyUrl, payload, {
+          headers: { 'Content-Type': 'application/json' },
+          timeout: 10000
+        }), { retries });
+      } catch (error) {
+        const reason = error?.response?.status ? `HTTP ${error.response.status}` : error.code || error.message;
+        errors.push(`webhook failed (${reason})`);
+      }
+    }
+    if (onEvent) {
+      try {
+        await runEventCommand(onEvent, payload);
+      } catch (error) {
+        errors.push(`--on-event ${error.message}`);
+      }
+    }
+    return errors;
+  };
+
+  return {
+    lastSent: null,
+    lastError: null,
+
+    async check(watcher, now = Date.now()) {
+      const { completed, failed } = watcher.stats;
+      if (completed + failed !== finishedCount) {
+        finishedCount = completed + failed;
+        stalledSince = now;
+      }
+
+      const active = getActiveMilestones(watcher, { failureThreshold, stallMinutes, stalledSince, now });
+      const sent = [];
+      for (const event of events) {
+        if (!active[event]) {
+          reached.delete(event);
+          continue;
+        }
+        if (reached.has(event)) continue;
+        reached.add(event);
+
+        const progress = watcher.getProgress();
+        const payload = {
+          event,
+          timestamp: new Date(now).toISOString(),
+          campaign: {
+            campaignId: watcher.campaign.campaignId,
+            alias: watcher.campaign.alias || null,
+            agentId: watcher.campaign.agentId
+          },
+          ...active[event],
+          stats: {
+            completed,
+            failed,
+            running: watcher.stats.running,
+            queued: watcher.stats.queued,
+            total: progress.total,
+            percentage: Math.round(progress.percentage * 10) / 10
+          }
+        };
+        const errors = await deliver(payload);
+        this.lastSent = { event, at: now };
+        this.lastError = errors.length > 0 ? `${event}: ${errors.join('; ')}` : null;
+        sent.push(payload);
+      }
+      return sent;
+    }
+  };
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  MIN_FAILURE_SAMPLE,
+  parseNotifyEvents,
+  getActiveMilestones,
+  runEventCommand,
+  createNotifier
+};
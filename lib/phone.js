@@ -0,0 +1,87 @@
+const { parsePhoneNumberWithError, isSupportedCountry, ParseError } = require('libphonenumber-js');
+
+// Phone number normalization to E.164 using libphonenumber metadata
+// (per-country lengths, and number prefixes in strict mode).
+
+const PARSE_ERROR_MESSAGES = {
+  INVALID_COUNTRY: 'Phone number must start with + (e.g., +12025550123) or a country must be given with --default-country or a country column',
+  NOT_A_NUMBER: 'Phone number must contain only digits and formatting characters',
+  TOO_SHORT: 'Phone number is too short',
+  TOO_LONG: 'Phone number is too long',
+  INVALID_LENGTH: 'Phone number has an invalid length'
+};
+
+/**
+ * Normalize an ISO 3166-1 alpha-2 country code. Returns the upper-case code,
+ * or null when empty. Throws for codes libphonenumber does not know.
+ */
+function normalizeCountry(country) {
+  if (country === undefined || country === null || String(country).trim() === '') {
+    return null;
+  }
+  const code = String(country).trim().toUpperCase();
+  if (!isSupportedCountry(code)) {
+    throw new Error(`Unknown country code: ${country}`);
+  }
+  return code;
+}
+
+/**
+ * Country to read one row's number with. The row's own country only applies
+ * to national numbers, and a value that is not an ISO code (free text such as
+ * "Germany") leaves the default in place with `unknown` set.
+ * Returns { country, unknown }.
+ */
+function getRowCountry(phoneNumber, rowCountry, defaultCountry) {
+  const value = String(rowCountry ?? '').trim();
+  if (!value || String(phoneNumber || '').trim().startsWith('+')) {
+    return { country: defaultCountry, unknown: false };
+  }
+  const code = value.toUpperCase();
+  return isSupportedCountry(code)
+    ? { country: code, unknown: false }
+    : { country: defaultCountry, unknown: true };
+}
+
+/**
+ * Parse a phone number in international (+...) or national format.
+ * National numbers need a country. Numbers must have a possible length for
+ * their country; options.strict also checks them against the country's
+ * numbering plan (area codes and prefixes in use).
+ * Returns { e164, country } where country is the region the number belongs to
+ * (may be undefined for non-geographic numbers).
+ */
+function normalizePhoneNumber(phoneNumber, country, options = {}) {
+  const raw = String(phoneNumber || '').trim();
+  if (!raw) {
+    throw new Error('Phone number is empty');
+  }
+  const defaultCountry = normalizeCountry(country) || undefined;
+
+  let parsed;
+  try {
+    parsed = parsePhoneNumberWithError(raw, { defaultCountry, extract: false });
+  } catch (error) {
+    if (error instanceof ParseError) {
+      throw new Error(PARSE_ERROR_MESSAGES[error.message] || `Invalid phone number (${error.message})`);
+    }
+    throw error;
+  }
+
+  // Name the country the number was read for in error messages
+  const region = parsed.country || (raw.startsWith('+') ? `+${parsed.countryCallingCode}` : defaultCountry);
+  if (!parsed.isPossible()) {
+    throw new Error(`Phone number has an invalid length for ${region}`);
+  }
+  if (options.strict && !parsed.isValid()) {
+    throw new Error(`Phone number is not valid for ${region}`);
+  }
+
+  return { e164: parsed.number, country: parsed.country };
+}
+
+module.exports = {
+  normalizeCountry,
+  getRowCountry,
+  normalizePhoneNumber
+};
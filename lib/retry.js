@@ -0,0 +1,111 @@
+// Retry helpers for transient API failures (rate limits, 5xx, network errors)
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+// For requests that are not idempotent, such as creating calls: a gateway
+// 5xx, a timeout or a dropped connection can come after the server already
+// acted, so only rejections and requests that never left are retried
+const NOT_APPLIED_STATUSES = [429, 503];
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Whether an axios error is worth retrying.
+ * Responses with a transient status and requests that never got a response qualify.
+ */
+function isTransientError(error) {
+  const status = error && error.response && error.response.status;
+  if (typeof status === 'number') {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  if (error && error.code && TRANSIENT_CODES.includes(error.code)) return true;
+  // No response at all (timeout, dropped connection)
+  return Boolean(error && error.request);
+}
+
+/**
+ * Whether a failed non-idempotent request is safe to send again: the server
+ * turned it away (429/503) or the connection was never made.
+ */
+function isNotAppliedError(error) {
+  const status = error && error.response && error.response.status;
+  if (typeof status === 'number') {
+    return NOT_APPLIED_STATUSES.includes(status);
+  }
+  return Boolean(error && error.code && NOT_SENT_CODES.includes(error.code));
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds.
+ * Returns null when absent or unparseable.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    return Math.round(parseFloat(str) * 1000);
+  }
+  const date = new Date(str);
+  if (isNaN(date.getTime())) return null;
+  return Math.max(0, date.getTime() - now);
+}
+
+function getRetryAfterMs(error) {
+  const headers = error && error.response && error.response.headers;
+  if (!headers) return null;
+  return parseRetryAfter(headers['retry-after'] ?? headers['Retry-After']);
+}
+
+/**
+ * Exponential backoff with jitter for the given zero-based attempt.
+ * The delay is drawn from [50%, 100%] of min(maxDelayMs, baseDelayMs * 2^attempt).
+ */
+function getBackoffDelay(attempt, baseDelayMs = 1000, maxDelayMs = 30000, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+/**
+ * Run fn, retrying failures that shouldRetry(error) accepts (default: transient ones).
+ * A Retry-After header on the failed response takes precedence over the backoff,
+ * up to maxDelayMs. onRetry({ attempt, delayMs, error }) is called before each wait.
+ */
+async function withRetry(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = isTransientError,
+    onRetry,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        if (error && typeof error === 'object') {
+          error.attempts = attempt + 1;
+        }
+        throw error;
+      }
+      const retryAfterMs = getRetryAfterMs(error);
+      const delayMs = retryAfterMs !== null ? Math.min(retryAfterMs, maxDelayMs) : getBackoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) {
+        onRetry({ attempt: attempt + 1, delayMs, error });
+      }
+      await sleep(delayMs);
+      attempt++;
+    }
+  }
+}
+
+module.exports = {
+  isTransientError,
+  isNotAppliedError,
+  parseRetryAfter,
+  getBackoffDelay,
+  withRetry
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+
+// Typed additionalData. A schema file declares fields with a type and optional
+// required flag, default, enum and pattern (regex); CSV strings are coerced to
+// the declared type and rows that do not match are rejected.
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Validate and compile a schema object. Accepts { fields: { name: spec } } or
+ * the fields map itself. Throws with the offending field on mistakes.
+ */
+function compileSchema(raw, source = 'schema') {
+  const fields = raw && typeof raw === 'object' && raw.fields ? raw.fields : raw;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error(`${source} must be a JSON object of field definitions`);
+  }
+  const compiled = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const def = typeof spec === 'string' ? { type: spec } : spec;
+    if (!def || typeof def !== 'object') {
+      throw new Error(`${source}: field "${name}" must be an object or a type name`);
+    }
+    const type = def.type || 'string';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`${source}: field "${name}" has unknown type "${type}" (expected one of ${FIELD_TYPES.join(', ')})`);
+    }
+    if (def.enum !== undefined && (!Array.isArray(def.enum) || def.enum.length === 0)) {
+      throw new Error(`${source}: field "${name}" enum must be a non-empty array`);
+    }
+    let pattern = null;
+    if (def.pattern !== undefined) {
+      try {
+        pattern = new RegExp(def.pattern);
+      } catch (error) {
+        throw new Error(`${source}: field "${name}" has an invalid pattern: ${error.message}`);
+      }
+    }
+    compiled[name] = {
+      type,
+      required: Boolean(def.required),
+      default: def.default,
+      enum: def.enum,
+      pattern
+    };
+  }
+  return { fields: compiled };
+}
+
+function loadSchemaFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Schema file not found: ${file}`);
+  }
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Schema file ${file} is not valid JSON: ${error.message}`);
+  }
+  return compileSchema(raw, file);
+}
+
+/**
+ * Convert a CSV string to the field type. Throws a short description on failure.
+ */
+function coerceValue(value, type) {
+  const str = String(value).trim();
+  switch (type) {
+    case 'number': {
+      const num = Number(str);
+      if (!Number.isFinite(num)) throw new Error(`expected a number, got "${str}"`);
+      return num;
+    }
+    case 'integer': {
+      if (!/^[+-]?\d+$/.test(str)) throw new Error(`expected an integer, got "${str}"`);
+      return parseInt(str, 10);
+    }
+    case 'boolean': {
+      const lower = str.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return true;
+      if (FALSE_VALUES.includes(lower)) return false;
+      throw new Error(`expected true/false, got "${str}"`);
+    }
+    case 'date': {
+      const date = new Date(str);
+      if (isNaN(date.getTime())) throw new Error(`expected a date, got "${str}"`);
+      return date.toISOString();
+    }
+    default:
+      return str;
+  }
+}
+
+/**
+ * Apply a compiled schema to the additionalData columns of one row.
+ * data holds raw cell values (empty cells included). Returns { data, errors }
+ * where errors is a list of { field, message }. Columns the schema does not
+ * declare are passed through unless empty.
+ */
+function applySchema(schema, data) {
+  const result = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!schema.fields[key] && value !== '' && value !== null && value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const raw = data[name];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (field.default !== undefined) {
+        result[name] = field.default;
+      } else if (field.required) {
+        errors.push({ field: name, message: `${name} is required` });
+      }
+      continue;
+    }
+
+    if (field.pattern && !field.pattern.test(String(raw).trim())) {
+      errors.push({ field: name, message: `${name} does not match ${field.pattern}` });
+      continue;
+    }
+    let value;
+    try {
+      value = coerceValue(raw, field.type);
+    } catch (error) {
+      errors.push({ field: name, message: `${name}: ${error.message}` });
+      continue;
+    }
+    if (field.enum && !field.enum.includes(value)) {
+      errors.push({ field: name, message: `${name} must be one of ${field.enum.join(', ')}` });
+      continue;
+    }
+    result[name] = value;
+  }
+
+  return { data: result, errors };
+}
+
+module.exports = {
+  FIELD_TYPES,
+  compileSchema,
+  loadSchemaFile,
+  coerceValue,
+  applySchema
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { detectCsvFormat, createBomStripper } = require('./csv-format');
+const { getRowCountry, normalizePhoneNumber } = require('./phone');
+
+// Do-not-call suppression lists. Each file is a CSV with a phone column or a
+// plain list with one entry per line. Entries are numbers (normalized like
+// CSV endpoints) or prefixes ending in "*", e.g. "+1900*".
+
+const PHONE_COLUMNS = ['endpoint', 'phone', 'phone_number', 'phonenumber', 'number', 'msisdn'];
+
+function isPhoneLike(value) {
+  return /\d/.test(String(value || ''));
+}
+
+/**
+ * Read the raw entries of one suppression file as [{ value, country, line }].
+ * A header row is detected when the first row has no digits in it.
+ */
+function readSuppressionEntries(filePath) {
+  return new Promise((resolve, reject) => {
+    const { delimiter } = detectCsvFormat(filePath);
+    const entries = [];
+    let column = 0;
+    let countryColumn = -1;
+    let line = 0;
+
+    fs.createReadStream(filePath)
+      .pipe(createBomStripper())
+      .pipe(csv({ separator: delimiter, headers: false }))
+      .on('data', (row) => {
+        line++;
+        const values = Object.keys(row).sort((a, b) => a - b).map(key => String(row[key] || '').trim());
+        if (line === 1 && !values.some(isPhoneLike)) {
+          const names = values.map(value => value.toLowerCase());
+          const phoneIndex = names.findIndex(name => PHONE_COLUMNS.includes(name));
+          column = phoneIndex === -1 ? 0 : phoneIndex;
+          countryColumn = names.indexOf('country');
+          return;
+        }
+        const value = values[column] || '';
+        if (!value || value.startsWith('#')) return;
+        entries.push({ value, country: countryColumn === -1 ? undefined : values[countryColumn], line });
+      })
+      .on('end', () => resolve(entries))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Load and normalize suppression files.
+ * Returns { numbers: Map<e164, file>, prefixes: [{ prefix, file }], invalid: [{ file, line, value, error }] }.
+ * Entries that cannot be normalized are reported in invalid rather than silently dropped.
+ */
+async function loadSuppressionList(files, options = {}) {
+  const list = { numbers: new Map(), prefixes: [], invalid: [], files: [] };
+  for (const file of files || []) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Suppression file not found: ${file}`);
+    }
+    const name = path.basename(file);
+    list.files.push(file);
+    const entries = await readSuppressionEntries(file);
+    for (const { value, country, line } of entries) {
+      if (value.endsWith('*')) {
+        const prefix = value.slice(0, -1).replace(/[\s\-().]/g, '');
+        if (!/^\+\d+$/.test(prefix)) {
+          list.invalid.push({ file, line, value, error: 'Prefixes must be in international format, e.g. +1900*' });
+          continue;
+        }
+        if (!list.prefixes.some(entry => entry.prefix === prefix)) {
+          list.prefixes.push({ prefix, file: name });
+        }
+        continue;
+      }
+      try {
+        const { e164 } = normalizePhoneNumber(value, getRowCountry(value, country, options.defaultCountry).country);
+        if (!list.numbers.has(e164)) {
+          list.numbers.set(e164, name);
+        }
+      } catch (error) {
+        list.invalid.push({ file, line, value, error: error.message });
+      }
+    }
+  }
+  return list;
+}
+
+/**
+ * Reason a normalized endpoint is suppressed, or null when it may be called.
+ */
+function getSuppressionReason(list, endpoint) {
+  if (!list) return null;
+  if (list.numbers.has(endpoint)) {
+    return `Suppressed: on do-not-call list (${list.numbers.get(endpoint)})`;
+  }
+  const match = list.prefixes.find(({ prefix }) => endpoint.startsWith(prefix));
+  if (match) {
+    return `Suppressed: matches do-not-call prefix ${match.prefix} (${match.file})`;
+  }
+  return null;
+}
+
+module.exports = {
+  loadSuppressionList,
+  getSuppressionReason
+};
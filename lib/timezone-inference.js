@@ -0,0 +1,137 @@
+const { parsePhoneNumber } = require('libphonenumber-js');
+const { getTimezoneOffset } = require('./timezone');
+
+// Timezone for a phone number from its country (zones per country come from
+// Intl) and, for the US and Canada, its area code.
+
+// North American area codes by zone. Codes that span zones (850, 867, ...)
+// are left out and reported as ambiguous.
+const AREA_CODE_ZONES = {
+  'America/New_York': [
+    // CT, DE, DC, FL, GA, ME, MD, MA, NH, NJ
+    203, 475, 860, 959, 302, 202, 771,
+    239, 305, 321, 324, 352, 386, 407, 561, 645, 656, 689, 727, 728, 754, 772, 786, 813, 863, 904, 941, 954,
+    229, 404, 470, 478, 678, 706, 762, 770, 912, 943, 207, 227, 240, 301, 410, 443, 667,
+    339, 351, 413, 508, 617, 774, 781, 857, 978, 603, 201, 551, 609, 640, 732, 848, 856, 862, 908, 973,
+    // NY, NC, OH, PA, RI, SC, VT, VA, WV
+    212, 315, 329, 332, 347, 363, 516, 518, 585, 607, 624, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934,
+    252, 336, 472, 704, 743, 828, 910, 919, 980, 984,
+    216, 220, 234, 283, 326, 330, 380, 419, 436, 440, 513, 567, 614, 740, 937,
+    215, 223, 267, 272, 412, 445, 484, 570, 582, 610, 717, 724, 814, 835, 878, 401,
+    803, 821, 839, 843, 854, 864, 802, 276, 434, 540, 571, 686, 703, 757, 804, 826, 948, 304, 681,
+    // IN, KY, TN (eastern parts)
+    260, 317, 463, 574, 765, 812, 930, 502, 606, 859, 423, 865
+  ],
+  'America/Detroit': [231, 248, 269, 313, 517, 586, 616, 679, 734, 810, 906, 947, 989],
+  'America/Chicago': [
+    // AL, AR, IL, IN, IA, KS, KY, LA, MN, MS, MO
+    205, 251, 256, 334, 659, 938, 327, 479, 501, 870,
+    217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 730, 773, 779, 815, 847, 861, 872, 219,
+    319, 515, 563, 641, 712, 316, 620, 785, 913, 270, 364, 225, 318, 337, 504, 985,
+    218, 320, 507, 612, 651, 763, 952, 228, 601, 662, 769, 314, 417, 557, 573, 636, 660, 816, 975,
+    // NE, ND, OK, SD, TN, TX, WI
+    308, 402, 531, 701, 405, 539, 572, 580, 918, 605, 615, 629, 731, 901, 931,
+    210, 214, 254, 281, 325, 346, 361, 409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832,
+    903, 936, 940, 945, 956, 972, 979, 262, 274, 414, 534, 608, 715, 920
+  ],
+  'America/Denver': [303, 719, 720, 970, 983, 406, 505, 575, 385, 435, 801, 307, 915],
+  'America/Boise': [208, 986],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+    657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951,
+    702, 725, 775, 458, 503, 541, 971, 206, 253, 360, 425, 509, 564
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  // Canada
+  'America/Vancouver': [236, 250, 257, 604, 672, 778],
+  'America/Edmonton': [368, 403, 587, 780, 825],
+  'America/Regina': [306, 474, 639],
+  'America/Winnipeg': [204, 431, 584],
+  'America/Toronto': [
+    226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 807, 905, 942,
+    263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873
+  ],
+  'America/Halifax': [782, 902, 428, 506],
+  'America/St_Johns': [709]
+};
+
+const AREA_CODES = new Map();
+for (const [zone, codes] of Object.entries(AREA_CODE_ZONES)) {
+  codes.forEach(code => AREA_CODES.set(String(code), zone));
+}
+
+// Zone used for countries spanning several offsets when nothing narrows it down
+const PRIMARY_ZONES = {
+  US: 'America/New_York',
+  CA: 'America/Toronto',
+  MX: 'America/Mexico_City',
+  BR: 'America/Sao_Paulo',
+  AR: 'America/Buenos_Aires',
+  CL: 'America/Santiago',
+  EC: 'America/Guayaquil',
+  AU: 'Australia/Sydney',
+  NZ: 'Pacific/Auckland',
+  RU: 'Europe/Moscow',
+  UA: 'Europe/Kiev',
+  ES: 'Europe/Madrid',
+  PT: 'Europe/Lisbon',
+  ID: 'Asia/Jakarta',
+  KZ: 'Asia/Almaty',
+  MN: 'Asia/Ulaanbaatar',
+  CD: 'Africa/Kinshasa'
+};
+
+// Zones per country, resolved once per run
+const countryZones = new Map();
+
+function getCountryZones(country, now) {
+  if (!countryZones.has(country)) {
+    const locale = new Intl.Locale(`und-${country}`);
+    const candidates = (typeof locale.getTimeZones === 'function' ? locale.getTimeZones() : locale.timeZones) || [];
+    const primary = candidates.includes(PRIMARY_ZONES[country]) ? PRIMARY_ZONES[country] : candidates[0];
+    // Zones that share an offset (Europe/Berlin and Europe/Busingen) are not a real choice
+    const offsets = new Set(candidates.map(zone => getTimezoneOffset(now, zone)));
+    countryZones.set(country, { candidates, primary, ambiguous: offsets.size > 1 });
+  }
+  return countryZones.get(country);
+}
+
+/**
+ * Infer a timezone for an E.164 number. Returns
+ * { timezone, country, source: 'area code' | 'country', ambiguous, candidates }
+ * or null for non-geographic numbers and countries Intl has no zones for.
+ * Ambiguous results use the country's main zone and list the alternatives.
+ */
+function inferTimezone(e164, now = new Date()) {
+  let parsed;
+  try {
+    parsed = parsePhoneNumber(e164);
+  } catch (error) {
+    return null;
+  }
+  const country = parsed.country;
+  if (!country) return null;
+
+  if (parsed.countryCallingCode === '1') {
+    const zone = AREA_CODES.get(parsed.nationalNumber.slice(0, 3));
+    if (zone) {
+      return { timezone: zone, country, source: 'area code', ambiguous: false, candidates: [zone] };
+    }
+  }
+
+  const zones = getCountryZones(country, now);
+  if (!zones.primary) return null;
+  return {
+    timezone: zones.primary,
+    country,
+    source: 'country',
+    ambiguous: zones.ambiguous,
+    candidates: zones.candidates
+  };
+}
+
+module.exports = {
+  inferTimezone
+};
@@ -0,0 +1,136 @@
+// Wall-clock time in IANA timezones, using Intl (no timezone database needed).
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'short'
+      });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${timeZone}`);
+    }
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Local date and time of an instant in a timezone.
+ * Returns { year, month (1-12), day, hour, minute, second, weekday ('Mon') }.
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: parts.weekday
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds (east positive).
+ */
+function getTimezoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in a timezone. Fields roll over like
+ * Date.UTC, so day 32 is the 1st of the next month. Times skipped by a DST
+ * change resolve to the later offset.
+ */
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  const result = guess - offset;
+  // Near a DST change the offset at the result can differ from the guess
+  const corrected = getTimezoneOffset(new Date(result), timeZone);
+  return new Date(corrected === offset ? result : guess - corrected);
+}
+
+// Lookup keys for suggestions: "America/NewYork" and "america/new york" both
+// become "americanewyork"; built on first use
+let suggestionKeys = null;
+
+function suggestionKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9+-]/g, '');
+}
+
+function getSuggestionKeys() {
+  if (!suggestionKeys) {
+    suggestionKeys = { names: new Map(), cities: new Map() };
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    for (const zone of zones) {
+      suggestionKeys.names.set(suggestionKey(zone), zone);
+      const city = suggestionKey(zone.split('/').pop());
+      if (!suggestionKeys.cities.has(city)) {
+        suggestionKeys.cities.set(city, zone);
+      }
+    }
+  }
+  return suggestionKeys;
+}
+
+/**
+ * Closest supported zone to a misspelt name ("America/NewYork", "Berlin"),
+ * or null when nothing is close.
+ */
+function suggestTimezone(name) {
+  const { names, cities } = getSuggestionKeys();
+  return names.get(suggestionKey(name)) || cities.get(suggestionKey(String(name).split('/').pop())) || null;
+}
+
+/**
+ * Check a timezone against the zones Intl supports and return its canonical
+ * name ("america/new_york" → "America/New_York"). Throws "Unknown timezone",
+ * with a suggestion when one is close.
+ */
+function normalizeTimezone(name) {
+  const value = String(name).trim();
+  try {
+    return getFormatter(value).resolvedOptions().timeZone;
+  } catch (error) {
+    const suggestion = suggestTimezone(value);
+    throw new Error(`Unknown timezone: ${value}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`);
+  }
+}
+
+/**
+ * Timezone of this machine, UTC when Intl cannot tell
+ */
+function getSystemTimezone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+module.exports = {
+  normalizeTimezone,
+  getSystemTimezone,
+  suggestTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc
+};